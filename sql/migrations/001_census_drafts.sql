@@ -0,0 +1,13 @@
+-- Save-and-resume drafts for the census questionnaire.
+-- One draft per citizen and census year; payloads are stored as the raw
+-- camelCase JSON sent by the frontend and only validated on promotion.
+CREATE TABLE IF NOT EXISTS census_drafts (
+  id             SERIAL PRIMARY KEY,
+  citizen_id_id  INTEGER NOT NULL REFERENCES citizen_ids(id) ON DELETE CASCADE,
+  census_year    INTEGER NOT NULL,
+  household      JSONB NOT NULL DEFAULT '{}'::jsonb,
+  members        JSONB NOT NULL DEFAULT '[]'::jsonb,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (citizen_id_id, census_year)
+);
@@ -0,0 +1,19 @@
+-- Amendment workflow: households are updated in place (so reports always
+-- see the latest answers) and every amendment records the state it replaced.
+ALTER TABLE households
+  ADD COLUMN IF NOT EXISTS version    INTEGER NOT NULL DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS household_revisions (
+  id                        SERIAL PRIMARY KEY,
+  household_id              INTEGER NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+  version                   INTEGER NOT NULL,           -- version created by this change
+  changed_by_citizen_id_id  INTEGER REFERENCES citizen_ids(id),
+  changed_at                TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  previous_snapshot         JSONB NOT NULL,             -- { household, members } before the change
+  changes                   JSONB NOT NULL DEFAULT '[]'::jsonb,
+  UNIQUE (household_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_household_revisions_household
+  ON household_revisions (household_id);
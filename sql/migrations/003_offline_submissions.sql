@@ -0,0 +1,10 @@
+-- Idempotency keys of households uploaded through the offline batch sync.
+-- A device retrying the same batch gets its original household back. Keys
+-- are generated on the device, so they are only unique per enumerator.
+CREATE TABLE IF NOT EXISTS offline_submissions (
+  submitted_by_user_id  INTEGER NOT NULL REFERENCES report_users(id),
+  idempotency_key       VARCHAR(100) NOT NULL,
+  household_id          INTEGER NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+  received_at           TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (submitted_by_user_id, idempotency_key)
+);
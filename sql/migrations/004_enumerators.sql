@@ -0,0 +1,15 @@
+-- Enumerator accounts are report_users with role = 'enumerator'.
+-- They can only submit households inside the wards assigned here.
+CREATE TABLE IF NOT EXISTS enumerator_assignments (
+  user_id      INTEGER NOT NULL REFERENCES report_users(id) ON DELETE CASCADE,
+  ward_id      INTEGER NOT NULL,
+  assigned_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, ward_id)
+);
+
+-- Which enumerator captured a household (NULL for citizen self-submission)
+ALTER TABLE households
+  ADD COLUMN IF NOT EXISTS captured_by_user_id INTEGER REFERENCES report_users(id);
+
+CREATE INDEX IF NOT EXISTS idx_households_ward_year
+  ON households (ward_id, census_year);
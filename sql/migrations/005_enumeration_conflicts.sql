@@ -0,0 +1,28 @@
+-- Per-member citizen linking: every member may carry a citizen_id_id, so
+-- the head of the household is now flagged explicitly.
+ALTER TABLE persons
+  ADD COLUMN IF NOT EXISTS is_head BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Until now only the head row was linked to a citizen
+UPDATE persons SET is_head = TRUE WHERE citizen_id_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_persons_citizen_year
+  ON persons (citizen_id_id, census_year)
+  WHERE citizen_id_id IS NOT NULL;
+
+-- Same person enumerated in two households for the same census year.
+-- Person references are nulled once a resolution removes that row.
+CREATE TABLE IF NOT EXISTS enumeration_conflicts (
+  id                   SERIAL PRIMARY KEY,
+  citizen_id_id        INTEGER NOT NULL REFERENCES citizen_ids(id),
+  census_year          INTEGER NOT NULL,
+  existing_person_id   INTEGER REFERENCES persons(id) ON DELETE CASCADE,
+  new_person_id        INTEGER REFERENCES persons(id) ON DELETE CASCADE,
+  status               VARCHAR(20) NOT NULL DEFAULT 'open',   -- open | resolved
+  resolution           VARCHAR(20),                           -- keep_existing | keep_new | not_duplicate
+  note                 TEXT,
+  resolved_by_user_id  INTEGER REFERENCES report_users(id),
+  created_at           TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  resolved_at          TIMESTAMPTZ,
+  UNIQUE (existing_person_id, new_person_id)
+);
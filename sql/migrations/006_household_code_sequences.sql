@@ -0,0 +1,12 @@
+-- Per-ward, per-census-year counter used to build structured household codes
+-- (YYYY-PP-DDD-WWWWW-SSSSSS-C). Legacy HH-<timestamp>-<random> codes stay as is.
+CREATE TABLE IF NOT EXISTS household_code_sequences (
+  ward_id      INTEGER NOT NULL,
+  census_year  INTEGER NOT NULL,
+  last_value   INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (ward_id, census_year)
+);
+
+-- Not UNIQUE: legacy codes may already contain collisions
+CREATE INDEX IF NOT EXISTS idx_households_code
+  ON households (household_code);
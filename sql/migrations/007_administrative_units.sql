@@ -0,0 +1,19 @@
+-- District and ward reference tables (provinces already exist).
+-- households.district_id / ward_id point at the ids below; the GSO codes
+-- are kept separately for display and imports.
+CREATE TABLE IF NOT EXISTS districts (
+  id             SERIAL PRIMARY KEY,
+  district_code  VARCHAR(3) NOT NULL UNIQUE,
+  name_vi        VARCHAR(100) NOT NULL,
+  province_code  VARCHAR(2) NOT NULL REFERENCES provinces(province_code)
+);
+
+CREATE TABLE IF NOT EXISTS wards (
+  id           SERIAL PRIMARY KEY,
+  ward_code    VARCHAR(5) NOT NULL UNIQUE,
+  name_vi      VARCHAR(100) NOT NULL,
+  district_id  INTEGER NOT NULL REFERENCES districts(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_districts_province ON districts (province_code);
+CREATE INDEX IF NOT EXISTS idx_wards_district ON wards (district_id);
@@ -0,0 +1,16 @@
+-- One campaign per census year. The (single) active campaign is the default
+-- census year for submissions, status, drafts, reports and the chatbot.
+CREATE TABLE IF NOT EXISTS census_campaigns (
+  census_year     INTEGER PRIMARY KEY,
+  start_date      DATE NOT NULL,
+  end_date        DATE NOT NULL,
+  reference_date  DATE NOT NULL,                    -- "census night"
+  status          VARCHAR(20) NOT NULL DEFAULT 'planned',  -- planned | active | closed
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at      TIMESTAMPTZ,
+  CHECK (start_date <= end_date)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_census_campaigns_single_active
+  ON census_campaigns ((status))
+  WHERE status = 'active';
@@ -0,0 +1,14 @@
+-- Signed receipts issued on every submission (and re-issued on amendment).
+CREATE TABLE IF NOT EXISTS submission_receipts (
+  receipt_code    VARCHAR(11) PRIMARY KEY,        -- XXXXX-XXXXX
+  household_id    INTEGER NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+  household_code  VARCHAR(50) NOT NULL,
+  census_year     INTEGER NOT NULL,
+  member_count    INTEGER NOT NULL,
+  submitted_at    TIMESTAMPTZ NOT NULL,
+  token           TEXT NOT NULL,                  -- JWT over the fields above
+  superseded_at   TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_submission_receipts_household
+  ON submission_receipts (household_id);
@@ -0,0 +1,19 @@
+-- Automatic quality-control flags and their review status.
+ALTER TABLE households
+  ADD COLUMN IF NOT EXISTS qc_status VARCHAR(20) NOT NULL DEFAULT 'clean',  -- clean | flagged | accepted | rejected
+  ADD COLUMN IF NOT EXISTS qc_reviewed_by_user_id INTEGER REFERENCES report_users(id),
+  ADD COLUMN IF NOT EXISTS qc_reviewed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS qc_review_note TEXT;
+
+CREATE TABLE IF NOT EXISTS qc_flags (
+  id            SERIAL PRIMARY KEY,
+  household_id  INTEGER NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+  rule          VARCHAR(50) NOT NULL,
+  severity      VARCHAR(10) NOT NULL,   -- low | medium | high
+  message       TEXT NOT NULL,
+  details       JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_qc_flags_household ON qc_flags (household_id);
+CREATE INDEX IF NOT EXISTS idx_households_qc_status ON households (qc_status);
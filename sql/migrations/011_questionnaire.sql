@@ -0,0 +1,38 @@
+-- Questionnaire definition per census year, served to the frontend.
+-- Questions with column_name map to a dedicated households/persons column;
+-- the others are stored in extra_answers (JSONB, keyed by question_key).
+CREATE TABLE IF NOT EXISTS questionnaire_sections (
+  id            SERIAL PRIMARY KEY,
+  census_year   INTEGER NOT NULL,
+  section_key   VARCHAR(50) NOT NULL,
+  title_vi      TEXT NOT NULL,
+  scope         VARCHAR(20) NOT NULL,   -- household | member
+  position      INTEGER NOT NULL DEFAULT 0,
+  UNIQUE (census_year, section_key)
+);
+
+CREATE TABLE IF NOT EXISTS questionnaire_questions (
+  id            SERIAL PRIMARY KEY,
+  section_id    INTEGER NOT NULL REFERENCES questionnaire_sections(id) ON DELETE CASCADE,
+  question_key  VARCHAR(60) NOT NULL,   -- field name in the submitted payload
+  label_vi      TEXT NOT NULL,
+  help_text_vi  TEXT,
+  answer_type   VARCHAR(20) NOT NULL,   -- text | integer | number | boolean | yes_no | date | single_choice | multi_choice
+  code_list     VARCHAR(40),            -- name of a built-in code list (codeLists.js), e.g. 'EDUCATION_LEVEL'
+  options       JSONB,                  -- inline [{ "code": ..., "label": ... }] when there is no code_list
+  required      BOOLEAN NOT NULL DEFAULT FALSE,
+  column_name   VARCHAR(60),            -- NULL: answer goes to extra_answers
+  skip_logic    JSONB,                  -- condition under which the question is asked, NULL = always
+  position      INTEGER NOT NULL DEFAULT 0,
+  UNIQUE (section_id, question_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_questionnaire_sections_year ON questionnaire_sections (census_year);
+
+ALTER TABLE households
+  ADD COLUMN IF NOT EXISTS extra_answers JSONB NOT NULL DEFAULT '{}'::jsonb;
+ALTER TABLE persons
+  ADD COLUMN IF NOT EXISTS extra_answers JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_households_extra_answers ON households USING GIN (extra_answers);
+CREATE INDEX IF NOT EXISTS idx_persons_extra_answers ON persons USING GIN (extra_answers);
@@ -0,0 +1,32 @@
+-- Field-level encryption of identifying data (see src/services/fieldCrypto.js).
+-- persons.full_name / date_of_birth and citizen_ids.citizen_number hold
+-- ciphertext; run `npm run reencrypt` after this migration to encrypt the
+-- existing rows.
+--
+-- Reports use persons.birth_year instead of date_of_birth, and CCCD
+-- lookups use citizen_ids.citizen_number_hash (blind index).
+ALTER TABLE persons
+  ADD COLUMN IF NOT EXISTS birth_year INTEGER;
+
+DO $$
+BEGIN
+  IF (
+    SELECT data_type FROM information_schema.columns
+    WHERE table_name = 'persons' AND column_name = 'date_of_birth'
+  ) = 'date' THEN
+    UPDATE persons SET birth_year = EXTRACT(YEAR FROM date_of_birth)::INT;
+    ALTER TABLE persons
+      ALTER COLUMN date_of_birth TYPE TEXT USING to_char(date_of_birth, 'YYYY-MM-DD');
+  END IF;
+END $$;
+
+ALTER TABLE persons
+  ALTER COLUMN full_name TYPE TEXT;
+
+ALTER TABLE citizen_ids
+  ALTER COLUMN citizen_number TYPE TEXT,
+  ADD COLUMN IF NOT EXISTS citizen_number_hash CHAR(64);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_citizen_ids_number_hash
+  ON citizen_ids (citizen_number_hash);
+CREATE INDEX IF NOT EXISTS idx_persons_birth_year ON persons (census_year, birth_year);
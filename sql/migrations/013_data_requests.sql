@@ -0,0 +1,22 @@
+-- Citizens' correction and deletion requests, processed by staff.
+-- A completed deletion anonymises the household: persons rows stay (and
+-- keep counting in reports) but no longer identify anyone.
+CREATE TABLE IF NOT EXISTS data_requests (
+  id                  SERIAL PRIMARY KEY,
+  citizen_id_id       INTEGER NOT NULL REFERENCES citizen_ids(id) ON DELETE CASCADE,
+  household_id        INTEGER REFERENCES households(id) ON DELETE SET NULL,
+  census_year         INTEGER NOT NULL,
+  request_type        VARCHAR(20) NOT NULL,                    -- correction | deletion
+  details             TEXT,                                    -- citizen's description
+  status              VARCHAR(20) NOT NULL DEFAULT 'pending',  -- pending | completed | rejected
+  handled_by_user_id  INTEGER REFERENCES report_users(id),
+  handled_at          TIMESTAMPTZ,
+  resolution_note     TEXT,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_requests_status ON data_requests (status, created_at);
+CREATE INDEX IF NOT EXISTS idx_data_requests_citizen ON data_requests (citizen_id_id);
+
+ALTER TABLE households
+  ADD COLUMN IF NOT EXISTS anonymised_at TIMESTAMPTZ;
@@ -0,0 +1,96 @@
+-- Pre-aggregated statistics read by the report routes.
+--
+-- Aggregates are kept per (census_year, province_code) slice. Triggers on
+-- households and persons mark the slices a write touches as dirty; the
+-- refresher (src/services/statsAggregates.js) recomputes only those
+-- slices. province_code '' stands for households without a province.
+CREATE TABLE IF NOT EXISTS stats_person_counts (
+  census_year    INTEGER NOT NULL,
+  province_code  VARCHAR(10),
+  area_type      TEXT NOT NULL,        -- 'Đô thị' | 'Nông thôn'
+  sex            TEXT,
+  age_group      TEXT NOT NULL,        -- 0-14 | 15-24 | 25-44 | 45-59 | 60+
+  qc_rejected    BOOLEAN NOT NULL,
+  population     INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS stats_household_counts (
+  census_year               INTEGER NOT NULL,
+  province_code             VARCHAR(10),
+  area_type                 TEXT NOT NULL,
+  qc_rejected               BOOLEAN NOT NULL,
+  household_count           INTEGER NOT NULL,
+  households_with_internet  INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_stats_person_counts_slice
+  ON stats_person_counts (census_year, province_code);
+CREATE INDEX IF NOT EXISTS idx_stats_household_counts_slice
+  ON stats_household_counts (census_year, province_code);
+
+CREATE TABLE IF NOT EXISTS stats_dirty_slices (
+  census_year    INTEGER NOT NULL,
+  province_code  VARCHAR(10) NOT NULL,
+  marked_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (census_year, province_code)
+);
+
+-- Single row: when the aggregates were last brought up to date
+CREATE TABLE IF NOT EXISTS stats_refresh_state (
+  name                   VARCHAR(30) PRIMARY KEY,
+  refreshed_at           TIMESTAMPTZ,
+  last_full_rebuild_at   TIMESTAMPTZ
+);
+
+CREATE OR REPLACE FUNCTION mark_stats_dirty_household() RETURNS trigger AS $$
+BEGIN
+  IF TG_OP IN ('UPDATE', 'DELETE') THEN
+    INSERT INTO stats_dirty_slices (census_year, province_code)
+    VALUES (OLD.census_year, COALESCE(OLD.province_code, ''))
+    ON CONFLICT DO NOTHING;
+  END IF;
+  IF TG_OP IN ('INSERT', 'UPDATE') THEN
+    INSERT INTO stats_dirty_slices (census_year, province_code)
+    VALUES (NEW.census_year, COALESCE(NEW.province_code, ''))
+    ON CONFLICT DO NOTHING;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION mark_stats_dirty_person() RETURNS trigger AS $$
+DECLARE
+  hh_ids INTEGER[];
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    hh_ids := ARRAY[NEW.household_id];
+  ELSIF TG_OP = 'DELETE' THEN
+    hh_ids := ARRAY[OLD.household_id];
+  ELSE
+    hh_ids := ARRAY[OLD.household_id, NEW.household_id];
+  END IF;
+
+  INSERT INTO stats_dirty_slices (census_year, province_code)
+  SELECT h.census_year, COALESCE(h.province_code, '')
+  FROM households h
+  WHERE h.id = ANY(hh_ids)
+  ON CONFLICT DO NOTHING;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_households_stats_dirty ON households;
+CREATE TRIGGER trg_households_stats_dirty
+  AFTER INSERT OR UPDATE OR DELETE ON households
+  FOR EACH ROW EXECUTE FUNCTION mark_stats_dirty_household();
+
+DROP TRIGGER IF EXISTS trg_persons_stats_dirty ON persons;
+CREATE TRIGGER trg_persons_stats_dirty
+  AFTER INSERT OR UPDATE OR DELETE ON persons
+  FOR EACH ROW EXECUTE FUNCTION mark_stats_dirty_person();
+
+-- Existing data: every slice starts dirty and is filled by the first refresh
+INSERT INTO stats_dirty_slices (census_year, province_code)
+SELECT DISTINCT census_year, COALESCE(province_code, '')
+FROM households
+ON CONFLICT DO NOTHING;
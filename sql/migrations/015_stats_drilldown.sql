@@ -0,0 +1,59 @@
+-- District / ward grain for the report aggregates (?level= drill-down).
+ALTER TABLE stats_person_counts
+  ADD COLUMN IF NOT EXISTS district_id INTEGER,
+  ADD COLUMN IF NOT EXISTS ward_id     INTEGER;
+
+ALTER TABLE stats_household_counts
+  ADD COLUMN IF NOT EXISTS district_id INTEGER,
+  ADD COLUMN IF NOT EXISTS ward_id     INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_stats_person_counts_district
+  ON stats_person_counts (census_year, district_id);
+CREATE INDEX IF NOT EXISTS idx_stats_household_counts_district
+  ON stats_household_counts (census_year, district_id);
+
+-- Existing rows have no district / ward: recompute them here (same SQL as
+-- rebuildStats() in src/services/statsAggregates.js) so the reports are
+-- not empty until the first refresh.
+DELETE FROM stats_person_counts;
+DELETE FROM stats_household_counts;
+
+INSERT INTO stats_person_counts (
+  census_year, province_code, district_id, ward_id,
+  area_type, sex, age_group, qc_rejected, population
+)
+SELECT
+  h.census_year,
+  h.province_code,
+  h.district_id,
+  h.ward_id,
+  CASE WHEN h.is_urban THEN 'Đô thị' ELSE 'Nông thôn' END,
+  p.sex,
+  CASE
+    WHEN p.census_year - p.birth_year < 15 THEN '0-14'
+    WHEN p.census_year - p.birth_year BETWEEN 15 AND 24 THEN '15-24'
+    WHEN p.census_year - p.birth_year BETWEEN 25 AND 44 THEN '25-44'
+    WHEN p.census_year - p.birth_year BETWEEN 45 AND 59 THEN '45-59'
+    ELSE '60+'
+  END,
+  h.qc_status = 'rejected',
+  COUNT(*)
+FROM persons p
+JOIN households h ON h.id = p.household_id
+GROUP BY 1, 2, 3, 4, 5, 6, 7, 8;
+
+INSERT INTO stats_household_counts (
+  census_year, province_code, district_id, ward_id, area_type, qc_rejected,
+  household_count, households_with_internet
+)
+SELECT
+  h.census_year,
+  h.province_code,
+  h.district_id,
+  h.ward_id,
+  CASE WHEN h.is_urban THEN 'Đô thị' ELSE 'Nông thôn' END,
+  h.qc_status = 'rejected',
+  COUNT(*),
+  COUNT(*) FILTER (WHERE h.has_internet)
+FROM households h
+GROUP BY 1, 2, 3, 4, 5, 6;
@@ -0,0 +1,47 @@
+-- Owners of every household asset in the household aggregates
+-- (households_with_internet already exists). Columns follow
+-- HOUSEHOLD_ASSET in src/validation/codeLists.js.
+ALTER TABLE stats_household_counts
+  ADD COLUMN IF NOT EXISTS households_with_electricity     INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS households_with_tv              INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS households_with_fridge          INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS households_with_washing_machine INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS households_with_computer        INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS households_with_car             INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS households_with_motorcycle      INTEGER NOT NULL DEFAULT 0;
+
+-- Existing rows have zeros: recompute them here (same SQL as
+-- rebuildStats() in src/services/statsAggregates.js) so the asset reports
+-- are not empty until the first refresh.
+DELETE FROM stats_household_counts;
+
+INSERT INTO stats_household_counts (
+  census_year, province_code, district_id, ward_id, area_type, qc_rejected,
+  household_count,
+  households_with_electricity,
+  households_with_internet,
+  households_with_tv,
+  households_with_fridge,
+  households_with_washing_machine,
+  households_with_computer,
+  households_with_car,
+  households_with_motorcycle
+)
+SELECT
+  h.census_year,
+  h.province_code,
+  h.district_id,
+  h.ward_id,
+  CASE WHEN h.is_urban THEN 'Đô thị' ELSE 'Nông thôn' END,
+  h.qc_status = 'rejected',
+  COUNT(*),
+  COUNT(*) FILTER (WHERE h.has_electricity),
+  COUNT(*) FILTER (WHERE h.has_internet),
+  COUNT(*) FILTER (WHERE h.has_tv),
+  COUNT(*) FILTER (WHERE h.has_fridge),
+  COUNT(*) FILTER (WHERE h.has_washing_machine),
+  COUNT(*) FILTER (WHERE h.has_computer),
+  COUNT(*) FILTER (WHERE h.has_car),
+  COUNT(*) FILTER (WHERE h.has_motorcycle)
+FROM households h
+GROUP BY 1, 2, 3, 4, 5, 6;
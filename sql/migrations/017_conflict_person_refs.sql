@@ -0,0 +1,12 @@
+-- Resolved enumeration conflicts outlive the person rows they name:
+-- deleting a person (amendment, conflict resolution) now nulls the
+-- reference instead of deleting the conflict.
+ALTER TABLE enumeration_conflicts
+  DROP CONSTRAINT IF EXISTS enumeration_conflicts_existing_person_id_fkey,
+  DROP CONSTRAINT IF EXISTS enumeration_conflicts_new_person_id_fkey;
+
+ALTER TABLE enumeration_conflicts
+  ADD CONSTRAINT enumeration_conflicts_existing_person_id_fkey
+    FOREIGN KEY (existing_person_id) REFERENCES persons(id) ON DELETE SET NULL,
+  ADD CONSTRAINT enumeration_conflicts_new_person_id_fkey
+    FOREIGN KEY (new_person_id) REFERENCES persons(id) ON DELETE SET NULL;
@@ -0,0 +1,4 @@
+-- Receipts re-issued after an amendment keep the original submission time
+-- in submitted_at and record the amendment separately.
+ALTER TABLE submission_receipts
+  ADD COLUMN IF NOT EXISTS amended_at TIMESTAMPTZ;
@@ -0,0 +1,6 @@
+-- QC messages used to quote member names ("Thành viên "<name>" ...").
+-- New flags refer to members by position; drop the quoted names from the
+-- existing ones.
+UPDATE qc_flags
+SET message = regexp_replace(message, ' ?"[^"]*"', '', 'g')
+WHERE message ~ '"[^"]*"';
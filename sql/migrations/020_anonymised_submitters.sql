@@ -0,0 +1,16 @@
+-- Citizens whose household was anonymised on request, kept only as a
+-- keyed hash of (citizen, census year) with no household reference: enough
+-- to refuse a second submission, not enough to find the household again.
+CREATE TABLE IF NOT EXISTS anonymised_submitters (
+  census_year     INTEGER NOT NULL,
+  submitter_hash  CHAR(64) NOT NULL,
+  PRIMARY KEY (census_year, submitter_hash)
+);
+
+-- Households anonymised before this migration lost their link already;
+-- drop what still ties data requests to them.
+UPDATE data_requests r
+SET household_id = NULL
+FROM households h
+WHERE h.id = r.household_id
+  AND h.anonymised_at IS NOT NULL;
@@ -0,0 +1,4 @@
+-- Corrections applied by staff for a citizen's data request are recorded
+-- as revisions made by that staff user.
+ALTER TABLE household_revisions
+  ADD COLUMN IF NOT EXISTS changed_by_user_id INTEGER REFERENCES report_users(id);
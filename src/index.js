@@ -3,6 +3,12 @@ const express = require('express');
 const cors = require('cors');
 const censusRoutes = require('./routes/census');
 const reportsRoutes = require('./routes/reports');
+const educationReportsRoutes = require('./routes/educationReports');
+const labourReportsRoutes = require('./routes/labourReports');
+const migrationReportsRoutes = require('./routes/migrationReports');
+const disabilityReportsRoutes = require('./routes/disabilityReports');
+const housingReportsRoutes = require('./routes/housingReports');
+const assetReportsRoutes = require('./routes/assetReports');
 const aiPopulationRouter = require('./routes/aiPopulation');
 const aiUrbanRuralRouter = require('./routes/aiUrbanRural');
 const aiInternetRouter = require('./routes/aiInternet');
@@ -10,12 +16,26 @@ const chatbotRoutes = require('./routes/chatbot');
 const authRoutes = require('./routes/auth');
 const vneidAuthRoutes = require('./routes/vneidAuth');
 const censusStatusRoutes = require('./routes/censusStatus');
+const censusSyncRoutes = require('./routes/censusSync');
+const enumeratorRoutes = require('./routes/enumerator');
+const conflictsRoutes = require('./routes/conflicts');
+const householdCodesRoutes = require('./routes/householdCodes');
+const geographyRoutes = require('./routes/geography');
+const campaignsRoutes = require('./routes/campaigns');
+const receiptsRoutes = require('./routes/receipts');
+const qualityControlRoutes = require('./routes/qualityControl');
+const questionnaireRoutes = require('./routes/questionnaire');
+const myDataRoutes = require('./routes/myData');
+const dataRequestsRoutes = require('./routes/dataRequests');
+const { pool } = require('./db');
+const { startStatsRefresher } = require('./services/statsAggregates');
 
 const app = express();
 const PORT = process.env.PORT || 4000;
 
-app.use(cors());
-app.use(express.json());
+app.use(cors({ exposedHeaders: ['Content-Disposition', 'X-Data-Refreshed-At'] }));
+// Offline batch sync uploads many households at once
+app.use(express.json({ limit: '5mb' }));
 
 // Health check
 app.get('/api/health', (_req, res) => {
@@ -25,7 +45,24 @@ app.get('/api/health', (_req, res) => {
 // Census routes
 app.use('/api/census', censusRoutes);
 app.use('/api/census', censusStatusRoutes);
+app.use('/api/census', censusSyncRoutes);
+app.use('/api/enumerator', enumeratorRoutes);
+app.use('/api/conflicts', conflictsRoutes);
+app.use('/api/household-codes', householdCodesRoutes);
+app.use('/api/geography', geographyRoutes);
+app.use('/api/campaigns', campaignsRoutes);
+app.use('/api/receipts', receiptsRoutes);
+app.use('/api/qc', qualityControlRoutes);
+app.use('/api/questionnaire', questionnaireRoutes);
+app.use('/api/my-data', myDataRoutes);
+app.use('/api/data-requests', dataRequestsRoutes);
 app.use('/api/reports', reportsRoutes);
+app.use('/api/reports', educationReportsRoutes);
+app.use('/api/reports', labourReportsRoutes);
+app.use('/api/reports', migrationReportsRoutes);
+app.use('/api/reports', disabilityReportsRoutes);
+app.use('/api/reports', housingReportsRoutes);
+app.use('/api/reports', assetReportsRoutes);
 app.use('/api/reports', aiPopulationRouter);
 app.use('/api/reports', aiUrbanRuralRouter);
 app.use('/api/reports', aiInternetRouter);
@@ -35,4 +72,5 @@ app.use('/api/vneid', vneidAuthRoutes);
 
 app.listen(PORT, () => {
   console.log(`Census API listening on http://localhost:${PORT}`);
+  startStatsRefresher(pool);
 });
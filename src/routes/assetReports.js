@@ -0,0 +1,205 @@
+// src/routes/assetReports.js
+// Household asset ownership for any of the has_<asset> columns
+// (HOUSEHOLD_ASSET): ownership rates, trends and urban/rural gaps from the
+// aggregate tables, and the number of assets per household.
+// internet-access / internet-trend in reports.js are the internet-only
+// form of the first two.
+const express = require('express');
+const { requireAuth } = require('./auth');
+const { HOUSEHOLD_ASSET } = require('../validation/codeLists');
+const {
+  AREA_SQL,
+  qcFilter,
+  aggregateQcFilter,
+  reportRoute,
+} = require('../services/reportQuery');
+
+const router = express.Router();
+
+const ASSETS = Object.keys(HOUSEHOLD_ASSET);
+const URBAN = 'Đô thị';
+const RURAL = 'Nông thôn';
+
+const BREAKDOWNS = {
+  area_type: AREA_SQL,
+};
+
+/**
+ * ?asset=tv,fridge -> { assets } (default: all), or { error }.
+ */
+function parseAssets(value) {
+  if (value === undefined || value === '') return { assets: ASSETS };
+  const assets = [...new Set(String(value).split(',').map((s) => s.trim()))];
+  if (assets.some((a) => !Object.prototype.hasOwnProperty.call(HOUSEHOLD_ASSET, a))) {
+    return { error: `Invalid ?asset= (${ASSETS.join(', ')})` };
+  }
+  return { assets };
+}
+
+function withAssetLabel(row) {
+  return { ...row, asset_label: HOUSEHOLD_ASSET[row.asset] || row.asset };
+}
+
+const OWNERSHIP_MEASURES = `
+      SUM(s.household_count) AS household_count,
+      SUM(a.owners) AS households_with_asset,
+      ROUND(100.0 * SUM(a.owners) / NULLIF(SUM(s.household_count), 0), 2) AS ownership_rate_pct`;
+
+const GAP_MEASURES = [[URBAN, 'urban'], [RURAL, 'rural']]
+  .map(([area, key]) => `
+      SUM(s.household_count) FILTER (WHERE s.area_type = '${area}') AS ${key}_households,
+      ROUND(
+        100.0 * SUM(a.owners) FILTER (WHERE s.area_type = '${area}')
+          / NULLIF(SUM(s.household_count) FILTER (WHERE s.area_type = '${area}'), 0),
+        2
+      ) AS ${key}_rate_pct`)
+  .join(',');
+
+/**
+ * One row per asset and group from stats_household_counts (the per-asset
+ * owner columns are unpivoted into a.asset / a.owners).
+ * unit: reportLevel() result, or null for the whole country.
+ * orderParam: the $n holding the asset list, for ordering.
+ */
+function ownershipSql({ unit, assets, measures, where, orderParam }) {
+  const owners = assets.map((a) => `('${a}', s.households_with_${a})`).join(', ');
+
+  return `
+    SELECT
+      s.census_year,
+      ${unit ? `${unit.columns},` : ''}
+      a.asset,
+      ${measures}
+    FROM stats_household_counts s
+    CROSS JOIN LATERAL (VALUES ${owners}) AS a(asset, owners)
+    ${unit ? unit.joins : ''}
+    WHERE TRUE
+      ${where}
+    GROUP BY s.census_year, ${unit ? `${unit.groupBy}, ` : ''}a.asset
+    ORDER BY
+      ${unit ? `${unit.orderBy},` : ''}
+      s.census_year,
+      array_position($${orderParam}::text[], a.asset);
+  `;
+}
+
+/**
+ * 1. Asset ownership rate
+ * GET /api/reports/assets/ownership?year=2024&asset=fridge,tv
+ *      &province=01&level=district   (optional drill-down)
+ */
+router.get('/assets/ownership', requireAuth, reportRoute({
+  report: 'asset-ownership',
+  errorMessage: 'Failed to load asset ownership',
+  alias: 's',
+  parse: (query) => parseAssets(query.asset),
+  params: (_query, { assets }) => [assets],
+  build: ({ query, level, assets }) => ({
+    sql: ownershipSql({
+      unit: level,
+      assets,
+      measures: OWNERSHIP_MEASURES,
+      where: `AND s.census_year = $1 ${aggregateQcFilter(query)} ${level.where}`,
+      orderParam: 2,
+    }),
+    mapRow: withAssetLabel,
+    aggregated: true,
+  }),
+}));
+
+/**
+ * 2. Asset ownership trend (all VN, or per province / district / ward)
+ * GET /api/reports/assets/trend?asset=computer
+ *      &province=01&level=district   (optional)
+ */
+router.get('/assets/trend', requireAuth, reportRoute({
+  report: 'asset-trend',
+  errorMessage: 'Failed to load asset trend',
+  trend: true,
+  alias: 's',
+  parse: (query) => parseAssets(query.asset),
+  params: (_query, { assets }) => [assets],
+  build: ({ query, level, assets }) => ({
+    sql: ownershipSql({
+      unit: level,
+      assets,
+      measures: OWNERSHIP_MEASURES,
+      where: `${aggregateQcFilter(query)} ${level ? level.where : ''}`,
+      orderParam: 1,
+    }),
+    mapRow: withAssetLabel,
+    aggregated: true,
+  }),
+}));
+
+/**
+ * 3. Urban / rural ownership gap
+ * GET /api/reports/assets/urban-rural-gap?year=2024&asset=car&province=01
+ *
+ * gap_pct_points = urban_rate_pct - rural_rate_pct
+ */
+router.get('/assets/urban-rural-gap', requireAuth, reportRoute({
+  report: 'asset-urban-rural-gap',
+  errorMessage: 'Failed to load urban/rural asset gap',
+  alias: 's',
+  parse: (query) => parseAssets(query.asset),
+  params: (_query, { assets }) => [assets],
+  build: ({ query, level, assets }) => ({
+    sql: ownershipSql({
+      unit: level,
+      assets,
+      measures: GAP_MEASURES,
+      where: `AND s.census_year = $1 ${aggregateQcFilter(query)} ${level.where}`,
+      orderParam: 2,
+    }),
+    mapRow: (row) => ({
+      ...withAssetLabel(row),
+      gap_pct_points:
+        row.urban_rate_pct === null || row.rural_rate_pct === null
+          ? null
+          : Math.round((Number(row.urban_rate_pct) - Number(row.rural_rate_pct)) * 100) / 100,
+    }),
+    aggregated: true,
+  }),
+}));
+
+/**
+ * 4. Number of assets per household
+ * GET /api/reports/assets/count-distribution?year=2024&province=01
+ *      &asset=tv,fridge,computer   (assets counted, default all)
+ *      &by=area_type               (optional)
+ */
+router.get('/assets/count-distribution', requireAuth, reportRoute({
+  report: 'asset-count-distribution',
+  errorMessage: 'Failed to load asset count distribution',
+  breakdowns: BREAKDOWNS,
+  parse: (query) => parseAssets(query.asset),
+  build: ({ query, level, by, assets }) => {
+    const partition = `h.census_year, ${level.groupBy}${by.groupBy}`;
+    return {
+      sql: `
+        SELECT
+          h.census_year,
+          ${level.columns}
+          ${by.columns},
+          ${assets.map((a) => `COALESCE(h.has_${a}::int, 0)`).join(' + ')} AS asset_count,
+          COUNT(*) AS households,
+          ROUND(100.0 * COUNT(*) / SUM(COUNT(*)) OVER (PARTITION BY ${partition}), 2) AS share_pct
+        FROM households h
+        ${level.joins}
+        WHERE h.census_year = $1
+          ${qcFilter(query)}
+          ${level.where}
+        GROUP BY ${partition}, asset_count
+        ORDER BY ${level.orderBy}${by.keys.map((k) => `, ${k}`).join('')}, asset_count;
+      `,
+      filters: {
+        ...level.metadata,
+        'Tài sản': assets.map((a) => HOUSEHOLD_ASSET[a]).join(', '),
+      },
+      wrap: (rows) => ({ assets, rows }),
+    };
+  },
+}));
+
+module.exports = router;
@@ -142,6 +142,18 @@ function requireAuth(req, res, next) {
   }
 }
 
+/**
+ * Middleware factory: require one of the given roles (use after requireAuth)
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'Bạn không có quyền thực hiện thao tác này.' });
+    }
+    next();
+  };
+}
+
 /**
  * GET /api/auth/me
  * Header: Authorization: Bearer <token>
@@ -168,5 +180,6 @@ router.get('/me', requireAuth, async (req, res) => {
 
 module.exports = {
     router,
-    requireAuth
+    requireAuth,
+    requireRole
   };
@@ -0,0 +1,162 @@
+// src/routes/campaigns.js
+// Admin-managed census campaigns (year, collection window, census night).
+const express = require('express');
+const { pool } = require('../db');
+const { requireAuth, requireRole } = require('./auth');
+const {
+  CAMPAIGN_STATUSES,
+  CAMPAIGN_COLUMNS,
+  mapCampaign,
+  getActiveCampaign,
+  checkCollectionWindow,
+} = require('../services/campaigns');
+
+const router = express.Router();
+
+// Strict YYYY-MM-DD that is also a real calendar date
+function isDate(v) {
+  if (typeof v !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(v)) return false;
+  const d = new Date(`${v}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === v;
+}
+
+function validateCampaign({ startDate, endDate, referenceDate, status }) {
+  if (!isDate(startDate) || !isDate(endDate) || !isDate(referenceDate)) {
+    return 'startDate, endDate và referenceDate phải là ngày hợp lệ (YYYY-MM-DD).';
+  }
+  if (startDate > endDate) {
+    return 'startDate phải trước hoặc bằng endDate.';
+  }
+  if (status && !CAMPAIGN_STATUSES.includes(status)) {
+    return `status phải là một trong: ${CAMPAIGN_STATUSES.join(', ')}.`;
+  }
+  return null;
+}
+
+/**
+ * GET /api/campaigns/active
+ * Public: the running campaign and whether collection is open today.
+ */
+router.get('/active', async (_req, res) => {
+  try {
+    const row = await getActiveCampaign(pool);
+    if (!row) {
+      return res.status(404).json({ error: 'Hiện không có kỳ điều tra nào đang diễn ra.' });
+    }
+
+    const { open, message } = await checkCollectionWindow(pool, row.census_year);
+    res.json({ campaign: mapCampaign(row), collectionOpen: open, collectionMessage: message });
+  } catch (err) {
+    console.error('campaigns/active error', err);
+    res.status(500).json({ error: 'Không thể tải kỳ điều tra.' });
+  }
+});
+
+/**
+ * GET /api/campaigns
+ */
+router.get('/', requireAuth, async (_req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT ${CAMPAIGN_COLUMNS} FROM census_campaigns ORDER BY census_year DESC`
+    );
+    res.json(rows.map(mapCampaign));
+  } catch (err) {
+    console.error('campaigns list error', err);
+    res.status(500).json({ error: 'Không thể tải danh sách kỳ điều tra.' });
+  }
+});
+
+/**
+ * POST /api/campaigns
+ * Body: { censusYear, startDate, endDate, referenceDate, status? }
+ */
+router.post('/', requireAuth, requireRole('admin'), async (req, res) => {
+  const { censusYear, startDate, endDate, referenceDate, status = 'planned' } = req.body || {};
+
+  if (!/^\d{4}$/.test(String(censusYear ?? ''))) {
+    return res.status(400).json({ error: 'censusYear là bắt buộc (YYYY).' });
+  }
+  const year = Number(censusYear);
+  const invalid = validateCampaign({ startDate, endDate, referenceDate, status });
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `
+      INSERT INTO census_campaigns (census_year, start_date, end_date, reference_date, status)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING ${CAMPAIGN_COLUMNS};
+      `,
+      [year, startDate, endDate, referenceDate, status]
+    );
+    res.status(201).json(mapCampaign(rows[0]));
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({
+        error: 'Đã có kỳ điều tra cho năm này hoặc đã có kỳ điều tra khác đang diễn ra.',
+      });
+    }
+    console.error('campaigns create error', err);
+    res.status(500).json({ error: 'Không thể tạo kỳ điều tra.' });
+  }
+});
+
+/**
+ * PATCH /api/campaigns/:year
+ * Body: any of { startDate, endDate, referenceDate, status }
+ */
+router.patch('/:year', requireAuth, requireRole('admin'), async (req, res) => {
+  if (!/^\d{4}$/.test(req.params.year)) {
+    return res.status(400).json({ error: 'Năm điều tra không hợp lệ.' });
+  }
+  const year = Number(req.params.year);
+
+  try {
+    const current = await pool.query(
+      `SELECT ${CAMPAIGN_COLUMNS} FROM census_campaigns WHERE census_year = $1`,
+      [year]
+    );
+    if (current.rowCount === 0) {
+      return res.status(404).json({ error: 'Không tìm thấy kỳ điều tra.' });
+    }
+
+    const existing = mapCampaign(current.rows[0]);
+    const next = {
+      startDate: req.body?.startDate ?? existing.startDate,
+      endDate: req.body?.endDate ?? existing.endDate,
+      referenceDate: req.body?.referenceDate ?? existing.referenceDate,
+      status: req.body?.status ?? existing.status,
+    };
+
+    const invalid = validateCampaign(next);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const { rows } = await pool.query(
+      `
+      UPDATE census_campaigns SET
+        start_date = $2,
+        end_date = $3,
+        reference_date = $4,
+        status = $5,
+        updated_at = NOW()
+      WHERE census_year = $1
+      RETURNING ${CAMPAIGN_COLUMNS};
+      `,
+      [year, next.startDate, next.endDate, next.referenceDate, next.status]
+    );
+    res.json(mapCampaign(rows[0]));
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'Đã có kỳ điều tra khác đang diễn ra.' });
+    }
+    console.error('campaigns update error', err);
+    res.status(500).json({ error: 'Không thể cập nhật kỳ điều tra.' });
+  }
+});
+
+module.exports = router;
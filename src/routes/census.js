@@ -3,6 +3,20 @@ const express = require('express');
 const { pool } = require('../db');
 const jwt = require('jsonwebtoken');
 const JWT_SECRET = process.env.JWT_SECRET || 'vietcensus-dev-secret';
+const {
+  findSubmission,
+  hasSubmitted,
+  prepareSubmission,
+  insertSubmission,
+  loadSubmission,
+  amendSubmission,
+  openRevisionChanges,
+} = require('../services/censusSubmission');
+const { resolveCensusYear, checkCollectionWindow } = require('../services/campaigns');
+const { findCurrentReceipt } = require('../services/receipts');
+const { renderReceiptPdf } = require('../services/receiptPdf');
+const { toCitizenView } = require('../services/submissionView');
+const { encryptDraftMembers, decryptDraftMembers } = require('../services/fieldCrypto');
 
 const router = express.Router();
 
@@ -15,13 +29,6 @@ function vLog(...args) {
   }
 }
 
-// Helper: convert "yes"/"no"/null -> boolean
-function yesNoToBool(val) {
-  if (val === 'yes') return true;
-  if (val === 'no') return false;
-  return null;
-}
-
 // Validate token & attach citizen info to req.citizenAuth
 function authCitizen(req, res, next) {
   const authHeader = req.headers.authorization || '';
@@ -52,14 +59,40 @@ function authCitizen(req, res, next) {
   }
 }
 
+// Resolve censusYear (body) / year (query) or the active campaign into req.censusYear
+async function withCensusYear(req, res, next) {
+  try {
+    req.censusYear = await resolveCensusYear(pool, req.body?.censusYear ?? req.query.year);
+    next();
+  } catch (err) {
+    console.error('Error resolving census year', err);
+    return res.status(500).json({ error: 'Không thể xác định kỳ điều tra.' });
+  }
+}
+
+// Reject writes outside the campaign's collection window (use after withCensusYear)
+async function requireOpenCampaign(req, res, next) {
+  try {
+    const { open, message } = await checkCollectionWindow(pool, req.censusYear);
+    if (!open) {
+      vLog('Collection window closed for year', req.censusYear);
+      return res.status(403).json({ error: message });
+    }
+    next();
+  } catch (err) {
+    console.error('Error checking census campaign', err);
+    return res.status(500).json({ error: 'Không thể xác định kỳ điều tra.' });
+  }
+}
+
 // POST /api/census/submit
-router.post('/submit', authCitizen, async (req, res) => {
+router.post('/submit', authCitizen, withCensusYear, requireOpenCampaign, async (req, res) => {
   const client = await pool.connect();
 
   try {
-    const { censusYear, household, members } = req.body;
+    const { household, members } = req.body;
     const { citizenIdId, citizenNumber } = req.citizenAuth;  
-    const year = censusYear || new Date().getFullYear();
+    const year = req.censusYear;
 
     vLog('/api/census/submit');
     vLog('Citizen:', { citizenIdId, citizenNumber });
@@ -71,9 +104,14 @@ router.post('/submit', authCitizen, async (req, res) => {
     });
     vLog('Members count:', Array.isArray(members) ? members.length : 0);
 
-    if (!household || !Array.isArray(members) || members.length === 0) {
-      vLog('Validation failed: missing household or members');
-      return res.status(400).json({ error: 'Invalid household or members data' });
+    const { errors, resolved } = await prepareSubmission(client, {
+      household,
+      members,
+      year,
+    });
+    if (errors.length > 0) {
+      vLog('Validation failed:', errors.length, 'error(s)');
+      return res.status(400).json({ error: 'Invalid household or members data', errors });
     }
 
     await client.query('BEGIN');
@@ -87,155 +125,37 @@ router.post('/submit', authCitizen, async (req, res) => {
     );
 
     // 0) Check if already submitted
-    const existing = await client.query(
-      `
-      SELECT p.id
-      FROM persons p
-      WHERE p.citizen_id_id = $1
-        AND p.census_year = $2
-      LIMIT 1
-      `,
-      [citizenIdId, year]
-    );
-    vLog('Existing submission rowCount =', existing.rowCount);
+    const existing = await hasSubmitted(client, citizenIdId, year);
+    vLog('Existing submission found =', !!existing);
 
-    if (existing.rowCount > 0) {
+    if (existing) {
       vLog('Duplicate submission detected');
       await client.query('ROLLBACK');
       vLog('Transaction: ROLLBACK');
       return res.status(409).json({ error: 'Bạn đã hoàn thành điều tra năm nay.' });
     }
 
-    // 1) Insert household
-    const householdCode = `HH-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
-    vLog('Inserting household with code =', householdCode);
-
-    const insertHouseholdQuery = `
-      INSERT INTO households (
-        household_code,
-        province_code,
-        district_id,
-        ward_id,
-        address_detail,
-        is_urban,
-        housing_ownership, housing_type,
-        main_wall_material, main_roof_material, main_floor_material,
-        floor_area_m2, num_rooms,
-        drinking_water_source, other_water_source,
-        toilet_type, garbage_disposal,
-        lighting_source, cooking_fuel,
-        has_electricity, has_internet, has_tv, has_fridge, has_washing_machine,
-        has_computer, has_car, has_motorcycle,
-        census_year
-      ) VALUES (
-        $1,$2,$3,$4,$5,$6,
-        $7,$8,$9,$10,$11,
-        $12,$13,$14,$15,$16,$17,
-        $18,$19,
-        $20,$21,$22,$23,$24,$25,$26,$27,
-        $28
-      )
-      RETURNING id;
-    `;
-
-    const hhValues = [
-      householdCode,
-      household.provinceCode || null,
-      household.districtId || null,
-      household.wardId || null,
-      household.addressDetail || null,
-      household.isUrban,
-      household.housingOwnership || null,
-      household.housingType || null,
-      household.mainWallMaterial || null,
-      household.mainRoofMaterial || null,
-      household.mainFloorMaterial || null,
-      household.floorAreaM2 ? Number(household.floorAreaM2) : null,
-      household.numRooms ? parseInt(household.numRooms, 10) : null,
-      household.drinkingWaterSource || null,
-      household.otherWaterSource || null,
-      household.toiletType || null,
-      household.garbageDisposal || null,
-      household.lightingSource || null,
-      household.cookingFuel || null,
-      yesNoToBool(household.hasElectricity),
-      yesNoToBool(household.hasInternet),
-      yesNoToBool(household.hasTv),
-      yesNoToBool(household.hasFridge),
-      yesNoToBool(household.hasWashingMachine),
-      yesNoToBool(household.hasComputer),
-      yesNoToBool(household.hasCar),
-      yesNoToBool(household.hasMotorcycle),
-      year
-    ];
-
-    const hhRes = await client.query(insertHouseholdQuery, hhValues);
-    const householdId = hhRes.rows[0].id;
-
-    vLog('Inserting persons info...');
-
-    // 2) Insert persons
-    const insertPersonQuery = `
-      INSERT INTO persons (
-        household_id,
-        citizen_id_id,
-        full_name, sex, date_of_birth,
-        relationship_to_head, ethnicity, religion,
-        marital_status,
-        ever_attended_school, currently_attending,
-        highest_education_level, literacy,
-        main_activity, employment_status, occupation, industry,
-        migration_status,
-        previous_province_code, previous_district_name,
-        has_disability, disability_type,
-        census_year,
-        submission_date
-      ) VALUES (
-        $1,$2,$3,$4,$5,
-        $6,$7,$8,
-        $9,
-        $10,$11,$12,$13,
-        $14,$15,$16,$17,
-        $18,$19,$20,
-        $21,$22,$23,
-        NOW()
-      ) RETURNING id;
-    `;
-
-    for (const member of members) {
-      const isHead = member.isHead === true;
-
-      const personValues = [
-        householdId,
-        isHead ? citizenIdId : null,      
-        member.fullName || null,
-        member.sex || null,
-        member.dateOfBirth || null,
-        member.relationshipToHead || null,
-        member.ethnicity || null,
-        member.religion || null,
-        member.maritalStatus || null,
-        member.everAttendedSchool !== null ? !!member.everAttendedSchool : null,
-        member.currentlyAttending !== null ? !!member.currentlyAttending : null,
-        member.highestEducationLevel || null,
-        member.literacy !== null ? !!member.literacy : null,
-        member.mainActivity || null,
-        member.employmentStatus || null,
-        member.occupation || null,
-        member.industry || null,
-        member.migrationStatus || null,
-        member.previousProvinceCode || null,
-        member.previousDistrictName || null,
-        member.hasDisability !== null ? !!member.hasDisability : null,
-        Array.isArray(member.disabilityType) && member.disabilityType.length
-          ? member.disabilityType
-          : null,
-        year
-      ];
-
-      await client.query(insertPersonQuery, personValues);
+    // 1) + 2) Insert household and persons
+    const { householdId, householdCode, conflicts, receipt } = await insertSubmission(client, {
+      citizenIdId,
+      year,
+      household,
+      members,
+      resolved,
+    });
+    vLog('Inserted household with code =', householdCode);
+    // Conflicts name persons of other households, so they are only shown
+    // to staff (/api/conflicts), never in the citizen's response
+    if (conflicts.length > 0) {
+      vLog('Members already enumerated elsewhere, queued conflicts:', conflicts.length);
     }
 
+    // 3) A direct submit supersedes any saved draft
+    await client.query(
+      'DELETE FROM census_drafts WHERE citizen_id_id = $1 AND census_year = $2',
+      [citizenIdId, year]
+    );
+
     await client.query('COMMIT');
 
     vLog('Transaction: COMMIT');
@@ -244,7 +164,8 @@ router.post('/submit', authCitizen, async (req, res) => {
     return res.json({
       status: 'ok',
       householdId,
-      personsInserted: members.length
+      personsInserted: members.length,
+      receipt
     });
   } catch (err) {
     await client.query('ROLLBACK');
@@ -256,4 +177,381 @@ router.post('/submit', authCitizen, async (req, res) => {
   }
 });
 
+/* ----------------- Citizen view ------------------ */
+
+/**
+ * GET /api/census/submission?year=2024
+ * The full household and members as recorded, with coded answers
+ * translated. Only the household the token's citizen submitted as head.
+ */
+router.get('/submission', authCitizen, withCensusYear, async (req, res) => {
+  const { citizenIdId } = req.citizenAuth;
+  const year = req.censusYear;
+
+  try {
+    const existing = await findSubmission(pool, citizenIdId, year);
+    if (!existing) {
+      return res.status(404).json({ error: 'Chưa có phiếu điều tra.' });
+    }
+
+    const submission = await loadSubmission(pool, existing.household_id);
+
+    const geoRes = await pool.query(
+      `
+      SELECT
+        (SELECT name_vi FROM provinces WHERE province_code = $1) AS province_name,
+        (SELECT name_vi FROM districts WHERE id = $2) AS district_name,
+        (SELECT name_vi FROM wards WHERE id = $3) AS ward_name
+      `,
+      [
+        submission.household.province_code,
+        submission.household.district_id,
+        submission.household.ward_id,
+      ]
+    );
+
+    return res.json({
+      censusYear: year,
+      ...toCitizenView(submission, geoRes.rows[0]),
+    });
+  } catch (err) {
+    console.error('Error in GET /api/census/submission', err);
+    return res.status(500).json({ error: 'Không thể tải phiếu điều tra.' });
+  }
+});
+
+/* ----------------- Amendments ------------------ */
+
+/**
+ * PUT /api/census/submission
+ * Body: { censusYear?, household, members }  (full corrected form)
+ * Existing members keep the personId from GET /submission; members
+ * without one are added, stored members not sent are removed.
+ *
+ * Lets the citizen correct their own submitted household while the
+ * campaign's collection window is open. The previous state is kept in household_revisions.
+ */
+router.put('/submission', authCitizen, withCensusYear, requireOpenCampaign, async (req, res) => {
+  const { household, members } = req.body || {};
+  const { citizenIdId } = req.citizenAuth;
+  const year = req.censusYear;
+
+  vLog('/api/census/submission amend', { citizenIdId, year });
+
+  const client = await pool.connect();
+
+  try {
+    const { errors, resolved } = await prepareSubmission(client, {
+      household,
+      members,
+      year,
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid household or members data', errors });
+    }
+
+    await client.query('BEGIN');
+
+    const existing = await findSubmission(client, citizenIdId, year);
+    if (!existing) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Chưa có phiếu điều tra để chỉnh sửa.' });
+    }
+
+    const householdId = existing.household_id;
+    const { version, personsInserted, changes, receipt } = await amendSubmission(
+      client,
+      householdId,
+      { citizenIdId, year, household, members, resolved, changedBy: { citizenIdId } }
+    );
+
+    await client.query('COMMIT');
+    vLog('Amendment saved:', { householdId, version, changes: changes.length });
+
+    return res.json({
+      status: 'ok',
+      householdId,
+      version,
+      personsInserted,
+      changes,
+      receipt,
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error in PUT /api/census/submission', err);
+    return res.status(500).json({ error: 'Không thể lưu chỉnh sửa phiếu điều tra.' });
+  } finally {
+    client.release();
+  }
+});
+
+// GET /api/census/submission/history?year=2024
+router.get('/submission/history', authCitizen, withCensusYear, async (req, res) => {
+  const year = req.censusYear;
+  const { citizenIdId } = req.citizenAuth;
+
+  try {
+    const existing = await findSubmission(pool, citizenIdId, year);
+    if (!existing) {
+      return res.status(404).json({ error: 'Chưa có phiếu điều tra.' });
+    }
+
+    const { rows } = await pool.query(
+      `
+      SELECT version, changed_by_citizen_id_id, changed_by_user_id, changed_at, changes
+      FROM household_revisions
+      WHERE household_id = $1
+      ORDER BY version DESC
+      `,
+      [existing.household_id]
+    );
+
+    return res.json({
+      householdId: existing.household_id,
+      revisions: rows.map((r) => ({
+        version: r.version,
+        changedByCitizenIdId: r.changed_by_citizen_id_id,
+        // Applied by staff for a correction request
+        changedByStaff: r.changed_by_user_id !== null,
+        changedAt: r.changed_at,
+        changes: openRevisionChanges(r.changes),
+      })),
+    });
+  } catch (err) {
+    console.error('Error in /api/census/submission/history', err);
+    return res.status(500).json({ error: 'Không thể tải lịch sử chỉnh sửa.' });
+  }
+});
+
+/* ----------------- Receipts ------------------ */
+
+// GET /api/census/receipt?year=2024  (PDF download)
+router.get('/receipt', authCitizen, withCensusYear, async (req, res) => {
+  const { citizenIdId } = req.citizenAuth;
+  const year = req.censusYear;
+
+  try {
+    const existing = await findSubmission(pool, citizenIdId, year);
+    const receipt = existing && (await findCurrentReceipt(pool, existing.household_id));
+
+    if (!receipt) {
+      return res.status(404).json({ error: 'Chưa có phiếu xác nhận cho năm này.' });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="bien-nhan-${receipt.householdCode}.pdf"`
+    );
+    renderReceiptPdf(receipt, res);
+  } catch (err) {
+    console.error('Error in /api/census/receipt', err);
+    // Too late for a JSON error once the PDF has started streaming
+    if (res.headersSent) {
+      return res.destroy(err);
+    }
+    return res.status(500).json({ error: 'Không thể tạo phiếu xác nhận.' });
+  }
+});
+
+/* ----------------- Drafts (save & resume) ------------------ */
+
+function mapDraftRow(row) {
+  return {
+    censusYear: row.census_year,
+    household: row.household || {},
+    members: decryptDraftMembers(row.members || []),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+// GET /api/census/draft?year=2024
+router.get('/draft', authCitizen, withCensusYear, async (req, res) => {
+  const year = req.censusYear;
+  const { citizenIdId } = req.citizenAuth;
+
+  try {
+    const { rows } = await pool.query(
+      `
+      SELECT census_year, household, members, created_at, updated_at
+      FROM census_drafts
+      WHERE citizen_id_id = $1
+        AND census_year = $2
+      `,
+      [citizenIdId, year]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Không có bản nháp cho năm này.' });
+    }
+
+    return res.json({ draft: mapDraftRow(rows[0]) });
+  } catch (err) {
+    console.error('Error in GET /api/census/draft', err);
+    return res.status(500).json({ error: 'Không thể tải bản nháp.' });
+  }
+});
+
+/**
+ * PUT /api/census/draft
+ * Body: { censusYear?, household?: {...partial}, members?: [...] }
+ *
+ * Autosave: household fields are merged into the stored draft,
+ * members (when sent) replace the stored list. Members' names, dates of
+ * birth and CCCD numbers are stored encrypted.
+ */
+router.put('/draft', authCitizen, withCensusYear, requireOpenCampaign, async (req, res) => {
+  const { household, members } = req.body || {};
+  const { citizenIdId } = req.citizenAuth;
+  const year = req.censusYear;
+
+  if (household != null && (typeof household !== 'object' || Array.isArray(household))) {
+    return res.status(400).json({ error: 'household phải là một object.' });
+  }
+  if (members != null && !Array.isArray(members)) {
+    return res.status(400).json({ error: 'members phải là một mảng.' });
+  }
+
+  vLog('/api/census/draft autosave', {
+    citizenIdId,
+    year,
+    householdKeys: household ? Object.keys(household).length : 0,
+    members: Array.isArray(members) ? members.length : null,
+  });
+
+  try {
+    const existing = await hasSubmitted(pool, citizenIdId, year);
+    if (existing) {
+      return res.status(409).json({ error: 'Bạn đã hoàn thành điều tra năm nay.' });
+    }
+
+    const { rows } = await pool.query(
+      `
+      INSERT INTO census_drafts (citizen_id_id, census_year, household, members)
+      VALUES ($1, $2, COALESCE($3::jsonb, '{}'::jsonb), COALESCE($4::jsonb, '[]'::jsonb))
+      ON CONFLICT (citizen_id_id, census_year) DO UPDATE SET
+        household = census_drafts.household || COALESCE($3::jsonb, '{}'::jsonb),
+        members = COALESCE($4::jsonb, census_drafts.members),
+        updated_at = NOW()
+      RETURNING census_year, household, members, created_at, updated_at
+      `,
+      [
+        citizenIdId,
+        year,
+        household ? JSON.stringify(household) : null,
+        members ? JSON.stringify(encryptDraftMembers(members)) : null,
+      ]
+    );
+
+    return res.json({ status: 'ok', draft: mapDraftRow(rows[0]) });
+  } catch (err) {
+    console.error('Error in PUT /api/census/draft', err);
+    return res.status(500).json({ error: 'Không thể lưu bản nháp.' });
+  }
+});
+
+// DELETE /api/census/draft?year=2024
+router.delete('/draft', authCitizen, withCensusYear, async (req, res) => {
+  const year = req.censusYear;
+  const { citizenIdId } = req.citizenAuth;
+
+  try {
+    const result = await pool.query(
+      'DELETE FROM census_drafts WHERE citizen_id_id = $1 AND census_year = $2',
+      [citizenIdId, year]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Không có bản nháp cho năm này.' });
+    }
+
+    return res.json({ status: 'ok' });
+  } catch (err) {
+    console.error('Error in DELETE /api/census/draft', err);
+    return res.status(500).json({ error: 'Không thể xoá bản nháp.' });
+  }
+});
+
+/**
+ * POST /api/census/draft/submit
+ * Body: { censusYear? }
+ *
+ * Promote the saved draft into households/persons, then discard it.
+ */
+router.post('/draft/submit', authCitizen, withCensusYear, requireOpenCampaign, async (req, res) => {
+  const { citizenIdId } = req.citizenAuth;
+  const year = req.censusYear;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const draftRes = await client.query(
+      `
+      SELECT household, members
+      FROM census_drafts
+      WHERE citizen_id_id = $1
+        AND census_year = $2
+      FOR UPDATE
+      `,
+      [citizenIdId, year]
+    );
+
+    if (draftRes.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Không có bản nháp cho năm này.' });
+    }
+
+    const { household } = draftRes.rows[0];
+    const members = decryptDraftMembers(draftRes.rows[0].members);
+
+    const { errors, resolved } = await prepareSubmission(client, {
+      household,
+      members,
+      year,
+    });
+    if (errors.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Invalid household or members data', errors });
+    }
+
+    const existing = await hasSubmitted(client, citizenIdId, year);
+    if (existing) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Bạn đã hoàn thành điều tra năm nay.' });
+    }
+
+    const { householdId, personsInserted, receipt } = await insertSubmission(client, {
+      citizenIdId,
+      year,
+      household,
+      members,
+      resolved,
+    });
+
+    await client.query(
+      'DELETE FROM census_drafts WHERE citizen_id_id = $1 AND census_year = $2',
+      [citizenIdId, year]
+    );
+
+    await client.query('COMMIT');
+    vLog('Draft promoted to submission:', householdId);
+
+    return res.json({
+      status: 'ok',
+      householdId,
+      personsInserted,
+      receipt,
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error in /api/census/draft/submit', err);
+    return res.status(500).json({ error: 'Failed to save census data' });
+  } finally {
+    client.release();
+  }
+});
+
 module.exports = router;
@@ -4,6 +4,8 @@ const router = express.Router();
 const { Pool } = require('pg');
 const jwt = require('jsonwebtoken');
 const JWT_SECRET = process.env.JWT_SECRET || 'vietcensus-dev-secret';
+const { resolveCensusYear, checkCollectionWindow } = require('../services/campaigns');
+const { hasSubmitted } = require('../services/censusSubmission');
 
 const pool = new Pool({
   host: process.env.PGHOST || 'localhost',
@@ -31,47 +33,86 @@ function authCitizen(req, res, next) {
 
 // GET /api/census/status?year=2024
 router.get('/status', authCitizen, async (req, res) => {
-  const censusYear = Number(req.query.year) || 2024;
   const { citizenIdId } = req.citizenAuth; // from JWT
 
   try {
+    // Defaults to the active campaign's year
+    const censusYear = await resolveCensusYear(pool, req.query.year);
+    const { open, message, campaign } = await checkCollectionWindow(pool, censusYear);
+    const campaignInfo = { campaign, collectionOpen: open, collectionMessage: message };
+
     const result = await pool.query(
       `
       SELECT
         p.id AS person_id,
         p.household_id,
         p.submission_date,
-        h.household_code
+        h.household_code,
+        r.receipt_code
       FROM persons p
       JOIN households h ON p.household_id = h.id
+      LEFT JOIN submission_receipts r
+        ON r.household_id = h.id
+       AND r.superseded_at IS NULL
       WHERE p.citizen_id_id = $1
         AND p.census_year = $2
+        AND p.is_head
       ORDER BY p.submission_date DESC
       LIMIT 1
       `,
       [citizenIdId, censusYear]
     );
 
+    const draftResult = await pool.query(
+      `
+      SELECT updated_at
+      FROM census_drafts
+      WHERE citizen_id_id = $1
+        AND census_year = $2
+      `,
+      [citizenIdId, censusYear]
+    );
+    const draft = draftResult.rows[0]
+      ? { hasDraft: true, draftUpdatedAt: draftResult.rows[0].updated_at }
+      : { hasDraft: false };
+
     if (result.rowCount > 0) {
       const row = result.rows[0];
       return res.json({
         eligible: false,
         alreadySubmitted: true,
         censusYear,
+        ...campaignInfo,
+        ...draft,
         submission: {
           personId: row.person_id,
           householdId: row.household_id,
           householdCode: row.household_code,
           submittedAt: row.submission_date,
+          receiptCode: row.receipt_code,
         },
       });
     }
 
-    // No record -> not yet submitted
+    // Submitted, but the household was anonymised on the citizen's request
+    if (await hasSubmitted(pool, citizenIdId, censusYear)) {
+      return res.json({
+        eligible: false,
+        alreadySubmitted: true,
+        censusYear,
+        ...campaignInfo,
+        ...draft,
+        submission: null,
+      });
+    }
+
+    // No record -> not yet submitted (can submit only while collection is open)
     return res.json({
-      eligible: true,
+      eligible: open,
       alreadySubmitted: false,
       censusYear,
+      ...campaignInfo,
+      ...draft,
     });
   } catch (err) {
     console.error('Error in /api/census/status', err);
@@ -0,0 +1,196 @@
+// src/routes/censusSync.js
+// Batch upload of households collected offline by field enumerators.
+const express = require('express');
+const { pool } = require('../db');
+const { requireAuth, requireRole } = require('./auth');
+const { prepareSubmission, insertSubmission } = require('../services/censusSubmission');
+const { getAssignedWardIds, checkWardAssignment } = require('../services/enumerators');
+const { resolveCensusYear, checkCollectionWindow } = require('../services/campaigns');
+
+const router = express.Router();
+
+const VERBOSE = process.env.VERBOSE === 'true';
+function vLog(...args) {
+  if (VERBOSE) {
+    console.log('[SYNC]', ...args);
+  }
+}
+
+const MAX_BATCH_SIZE = 200;
+const MAX_KEY_LENGTH = 100;
+
+/**
+ * Process a single offline household in its own transaction so one bad
+ * record never rolls back the rest of the batch.
+ */
+async function syncOne(client, item, { defaultYear, userId, assignedWardIds, windowFor }) {
+  const { idempotencyKey, household, members, censusYear } = item || {};
+
+  if (typeof idempotencyKey !== 'string' || !idempotencyKey || idempotencyKey.length > MAX_KEY_LENGTH) {
+    return {
+      idempotencyKey: idempotencyKey ?? null,
+      status: 'rejected',
+      errors: [{ scope: 'batch', field: 'idempotencyKey', code: 'required', message: 'Thiếu hoặc sai idempotencyKey.' }],
+    };
+  }
+  if (censusYear !== undefined && censusYear !== null && !/^\d{4}$/.test(String(censusYear))) {
+    return {
+      idempotencyKey,
+      status: 'rejected',
+      errors: [{ scope: 'batch', field: 'censusYear', code: 'invalid', message: 'Năm điều tra không hợp lệ.' }],
+    };
+  }
+  const year = censusYear ? Number(censusYear) : defaultYear;
+
+  try {
+    await client.query('BEGIN');
+
+    const seen = await client.query(
+      `
+      SELECT household_id FROM offline_submissions
+      WHERE submitted_by_user_id = $1 AND idempotency_key = $2
+      `,
+      [userId, idempotencyKey]
+    );
+    if (seen.rowCount > 0) {
+      await client.query('ROLLBACK');
+      return { idempotencyKey, status: 'duplicate', householdId: seen.rows[0].household_id };
+    }
+
+    // Collected offline but uploaded after the window closed
+    const { open, message } = await windowFor(year);
+    if (!open) {
+      await client.query('ROLLBACK');
+      return {
+        idempotencyKey,
+        status: 'rejected',
+        errors: [{ scope: 'batch', field: 'censusYear', code: 'campaign_closed', message }],
+      };
+    }
+
+    const { errors, resolved } = await prepareSubmission(client, {
+      household,
+      members,
+      year,
+    });
+    const wardError = checkWardAssignment(household, assignedWardIds);
+    if (wardError) errors.push(wardError);
+
+    if (errors.length > 0) {
+      await client.query('ROLLBACK');
+      return { idempotencyKey, status: 'rejected', errors };
+    }
+
+    const { householdId, personsInserted, conflicts, receipt } = await insertSubmission(client, {
+      citizenIdId: null,
+      year,
+      household,
+      members,
+      capturedByUserId: userId,
+      resolved,
+    });
+
+    await client.query(
+      `
+      INSERT INTO offline_submissions (idempotency_key, household_id, submitted_by_user_id)
+      VALUES ($1, $2, $3)
+      `,
+      [idempotencyKey, householdId, userId]
+    );
+
+    await client.query('COMMIT');
+    return { idempotencyKey, status: 'inserted', householdId, personsInserted, conflicts, receipt };
+  } catch (err) {
+    await client.query('ROLLBACK');
+
+    // Same key uploaded concurrently by a retry: the other request won
+    if (err.code === '23505') {
+      const { rows } = await client.query(
+        `
+        SELECT household_id FROM offline_submissions
+        WHERE submitted_by_user_id = $1 AND idempotency_key = $2
+        `,
+        [userId, idempotencyKey]
+      );
+      return { idempotencyKey, status: 'duplicate', householdId: rows[0]?.household_id ?? null };
+    }
+
+    console.error('census/sync item error', { idempotencyKey, err });
+    return {
+      idempotencyKey,
+      status: 'rejected',
+      errors: [{ scope: 'batch', field: null, code: 'server_error', message: 'Lỗi hệ thống khi lưu hộ này.' }],
+    };
+  }
+}
+
+/**
+ * POST /api/census/sync
+ * Body: {
+ *   censusYear?,
+ *   households: [{ idempotencyKey, censusYear?, household, members }]
+ * }
+ *
+ * Safe to retry: households whose idempotencyKey the same enumerator
+ * already uploaded are reported as "duplicate" with the original
+ * householdId.
+ * Enumerators only; households outside their assigned wards are rejected.
+ */
+router.post('/sync', requireAuth, requireRole('enumerator'), async (req, res) => {
+  const { censusYear, households } = req.body || {};
+
+  if (!Array.isArray(households) || households.length === 0) {
+    return res.status(400).json({ error: 'households phải là một mảng không rỗng.' });
+  }
+  if (households.length > MAX_BATCH_SIZE) {
+    return res.status(413).json({ error: `Mỗi lần đồng bộ tối đa ${MAX_BATCH_SIZE} hộ.` });
+  }
+
+  vLog('batch received', { userId: req.user.id, count: households.length });
+
+  const client = await pool.connect();
+  const results = [];
+
+  try {
+    const defaultYear = await resolveCensusYear(client, censusYear);
+    const assignedWardIds = await getAssignedWardIds(client, req.user.id);
+
+    // One window lookup per census year in the batch
+    const windows = new Map();
+    const windowFor = async (year) => {
+      if (!windows.has(year)) {
+        windows.set(year, await checkCollectionWindow(client, year));
+      }
+      return windows.get(year);
+    };
+
+    for (const item of households) {
+      results.push(
+        await syncOne(client, item, {
+          defaultYear,
+          userId: req.user.id,
+          assignedWardIds,
+          windowFor,
+        })
+      );
+    }
+  } catch (err) {
+    console.error('Error in /api/census/sync', err);
+    return res.status(500).json({
+      error: 'Lỗi hệ thống khi đồng bộ dữ liệu.',
+      // Results processed before the failure are committed and can be trusted
+      results,
+    });
+  } finally {
+    client.release();
+  }
+
+  const summary = { inserted: 0, duplicate: 0, rejected: 0 };
+  for (const r of results) summary[r.status] += 1;
+
+  vLog('batch done', summary);
+
+  return res.json({ status: 'ok', summary, results });
+});
+
+module.exports = router;
@@ -4,6 +4,8 @@ const router = express.Router();
 const OpenAI = require('openai');
 const { requireAuth } = require('./auth');
 const jwt = require('jsonwebtoken');
+const { pool } = require('../db');
+const { getDefaultCensusYear } = require('../services/campaigns');
 
 // Mock token for model to run query with authorization
 const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-change-me';
@@ -48,7 +50,7 @@ router.post('/', requireAuth, async (req, res) => {
     }
 
     const question = String(lastUser.content || '');
-    const year = detectYear(question, 2024);
+    const year = detectYear(question, await getDefaultCensusYear(pool));
     const topic = detectTopic(question);
     const province = detectProvince(question);
     
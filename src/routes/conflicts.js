@@ -0,0 +1,145 @@
+// src/routes/conflicts.js
+// Staff queue for people enumerated in more than one household
+// (same citizen_id_id, same census year).
+const express = require('express');
+const { pool } = require('../db');
+const { requireAuth, requireRole } = require('./auth');
+const { decryptField } = require('../services/fieldCrypto');
+
+const router = express.Router();
+
+const RESOLUTIONS = ['keep_existing', 'keep_new', 'not_duplicate'];
+
+/**
+ * GET /api/conflicts?year=2024&status=open
+ */
+router.get('/', requireAuth, requireRole('admin'), async (req, res) => {
+  const year = parseInt(req.query.year, 10) || null;
+  const status = req.query.status || 'open';
+
+  const sql = `
+    SELECT
+      c.id,
+      c.census_year,
+      c.status,
+      c.resolution,
+      c.created_at,
+      c.resolved_at,
+      ci.citizen_number,
+      ep.id AS existing_person_id,
+      ep.full_name AS existing_full_name,
+      eh.household_code AS existing_household_code,
+      np.id AS new_person_id,
+      np.full_name AS new_full_name,
+      nh.household_code AS new_household_code
+    FROM enumeration_conflicts c
+    JOIN citizen_ids ci ON ci.id = c.citizen_id_id
+    LEFT JOIN persons ep ON ep.id = c.existing_person_id
+    LEFT JOIN households eh ON eh.id = ep.household_id
+    LEFT JOIN persons np ON np.id = c.new_person_id
+    LEFT JOIN households nh ON nh.id = np.household_id
+    WHERE c.status = $1
+      AND ($2::int IS NULL OR c.census_year = $2)
+    ORDER BY c.created_at;
+  `;
+
+  try {
+    const { rows } = await pool.query(sql, [status, year]);
+    res.json(
+      rows.map((r) => ({
+        ...r,
+        citizen_number: decryptField(r.citizen_number),
+        existing_full_name: decryptField(r.existing_full_name),
+        new_full_name: decryptField(r.new_full_name),
+      }))
+    );
+  } catch (err) {
+    console.error('conflicts list error', err);
+    res.status(500).json({ error: 'Không thể tải danh sách trùng lặp.' });
+  }
+});
+
+/**
+ * POST /api/conflicts/:id/resolve
+ * Body: { resolution: 'keep_existing' | 'keep_new' | 'not_duplicate', note? }
+ *
+ * keep_existing / keep_new remove the other person row so the citizen is
+ * counted once. A household head can only be removed through an amendment.
+ */
+router.post('/:id/resolve', requireAuth, requireRole('admin'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const { resolution, note } = req.body || {};
+
+  if (!id || !RESOLUTIONS.includes(resolution)) {
+    return res.status(400).json({ error: `resolution phải là một trong: ${RESOLUTIONS.join(', ')}.` });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { rows } = await client.query(
+      'SELECT * FROM enumeration_conflicts WHERE id = $1 FOR UPDATE',
+      [id]
+    );
+    const conflict = rows[0];
+
+    if (!conflict) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Không tìm thấy bản ghi trùng lặp.' });
+    }
+    if (conflict.status !== 'open') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Bản ghi này đã được xử lý.' });
+    }
+
+    const removePersonId =
+      resolution === 'keep_existing' ? conflict.new_person_id
+        : resolution === 'keep_new' ? conflict.existing_person_id
+          : null;
+
+    if (removePersonId) {
+      const personRes = await client.query(
+        'SELECT is_head FROM persons WHERE id = $1',
+        [removePersonId]
+      );
+      if (personRes.rows[0]?.is_head) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          error: 'Không thể xoá chủ hộ. Vui lòng chỉnh sửa phiếu của hộ đó.',
+        });
+      }
+    }
+
+    await client.query(
+      `
+      UPDATE enumeration_conflicts SET
+        status = 'resolved',
+        resolution = $2,
+        note = $3,
+        resolved_by_user_id = $4,
+        resolved_at = NOW(),
+        existing_person_id = CASE WHEN $5::int = existing_person_id THEN NULL ELSE existing_person_id END,
+        new_person_id = CASE WHEN $5::int = new_person_id THEN NULL ELSE new_person_id END
+      WHERE id = $1
+      `,
+      [id, resolution, note || null, req.user.id, removePersonId]
+    );
+
+    if (removePersonId) {
+      await client.query('DELETE FROM persons WHERE id = $1', [removePersonId]);
+    }
+
+    await client.query('COMMIT');
+    res.json({ status: 'ok', id, resolution, removedPersonId: removePersonId });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('conflicts resolve error', err);
+    res.status(500).json({ error: 'Không thể xử lý bản ghi trùng lặp.' });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
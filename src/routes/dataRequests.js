@@ -0,0 +1,150 @@
+// src/routes/dataRequests.js
+// Staff queue for citizens' correction and deletion requests.
+const express = require('express');
+const { pool } = require('../db');
+const { requireAuth, requireRole } = require('./auth');
+const {
+  REQUEST_TYPES,
+  REQUEST_DECISIONS,
+  mapRequest,
+  anonymiseHousehold,
+} = require('../services/dataRequests');
+const { prepareSubmission, amendSubmission } = require('../services/censusSubmission');
+
+const router = express.Router();
+
+/**
+ * GET /api/data-requests?status=pending&type=deletion
+ */
+router.get('/', requireAuth, requireRole('admin'), async (req, res) => {
+  const status = req.query.status || 'pending';
+  const type = req.query.type || null;
+
+  if (type && !REQUEST_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type phải là một trong: ${REQUEST_TYPES.join(', ')}.` });
+  }
+
+  const sql = `
+    SELECT r.*, h.household_code
+    FROM data_requests r
+    LEFT JOIN households h ON h.id = r.household_id
+    WHERE r.status = $1
+      AND ($2::text IS NULL OR r.request_type = $2)
+    ORDER BY r.created_at;
+  `;
+
+  try {
+    const { rows } = await pool.query(sql, [status, type]);
+    res.json(rows.map((r) => ({ ...mapRequest(r), householdCode: r.household_code })));
+  } catch (err) {
+    console.error('data-requests list error', err);
+    res.status(500).json({ error: 'Không thể tải danh sách yêu cầu.' });
+  }
+});
+
+/**
+ * POST /api/data-requests/:id/resolve
+ * Body: { decision: 'completed' | 'rejected', note?, household?, members? }
+ *
+ * Completing a deletion request anonymises the household and removes the
+ * citizen's draft for that census year. Completing a correction request
+ * requires the corrected form (household and members, as for
+ * PUT /api/census/submission), which is applied as an amendment by the
+ * staff user: a new revision, receipt and QC run.
+ */
+router.post('/:id/resolve', requireAuth, requireRole('admin'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const { decision, note, household, members } = req.body || {};
+
+  if (!id || !REQUEST_DECISIONS.includes(decision)) {
+    return res.status(400).json({ error: `decision phải là một trong: ${REQUEST_DECISIONS.join(', ')}.` });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { rows } = await client.query('SELECT * FROM data_requests WHERE id = $1 FOR UPDATE', [id]);
+    const request = rows[0];
+
+    if (!request) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Không tìm thấy yêu cầu.' });
+    }
+    if (request.status !== 'pending') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Yêu cầu đã được xử lý.' });
+    }
+
+    let personsAnonymised = null;
+    let amendment = null;
+    if (decision === 'completed' && request.request_type === 'correction') {
+      if (!request.household_id) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Hộ gia đình của yêu cầu không còn tồn tại.' });
+      }
+      if (!household || !Array.isArray(members)) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'Cần gửi household và members đã chỉnh sửa.' });
+      }
+
+      const year = request.census_year;
+      const { errors, resolved } = await prepareSubmission(client, { household, members, year });
+      if (errors.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'Invalid household or members data', errors });
+      }
+
+      const { version, changes, receipt } = await amendSubmission(client, request.household_id, {
+        citizenIdId: request.citizen_id_id,
+        year,
+        household,
+        members,
+        resolved,
+        changedBy: { userId: req.user.id },
+      });
+      amendment = { version, changeCount: changes.length, receipt };
+    }
+
+    if (decision === 'completed' && request.request_type === 'deletion') {
+      if (request.household_id) {
+        personsAnonymised = await anonymiseHousehold(client, request.household_id);
+      }
+      await client.query(
+        'DELETE FROM census_drafts WHERE citizen_id_id = $1 AND census_year = $2',
+        [request.citizen_id_id, request.census_year]
+      );
+    }
+
+    const updated = await client.query(
+      `
+      UPDATE data_requests SET
+        status = $2,
+        handled_by_user_id = $3,
+        handled_at = NOW(),
+        resolution_note = $4
+      WHERE id = $1
+      RETURNING *
+      `,
+      [id, decision, req.user.id, note || null]
+    );
+
+    await client.query('COMMIT');
+
+    res.json({
+      status: 'ok',
+      request: mapRequest(updated.rows[0]),
+      personsAnonymised,
+      amendment,
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('data-requests resolve error', err);
+    res.status(500).json({ error: 'Không thể xử lý yêu cầu.' });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
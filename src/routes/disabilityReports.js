@@ -0,0 +1,127 @@
+// src/routes/disabilityReports.js
+// Disability prevalence from persons.has_disability and the
+// disability_type domains, for targeting social-protection support.
+const express = require('express');
+const { requireAuth } = require('./auth');
+const { DISABILITY_TYPE } = require('../validation/codeLists');
+const {
+  AREA_SQL,
+  AGE_GROUP_SQL,
+  qcFilter,
+  reportRoute,
+} = require('../services/reportQuery');
+
+const router = express.Router();
+
+// Pseudo-type counting persons who reported two or more domains
+const MULTIPLE = 'multiple';
+const TYPE_LABELS = { ...DISABILITY_TYPE, [MULTIPLE]: 'Nhiều dạng khuyết tật' };
+
+// Optional ?by= breakdowns on top of the administrative level
+const BREAKDOWNS = {
+  sex: 'p.sex',
+  age_group: AGE_GROUP_SQL,
+  area_type: AREA_SQL,
+};
+
+/**
+ * 1. Disability prevalence
+ * GET /api/reports/disability/prevalence?year=2024&province=01&level=district
+ *      &by=sex,age_group,area_type   (optional breakdowns)
+ */
+router.get('/disability/prevalence', requireAuth, reportRoute({
+  report: 'disability-prevalence',
+  errorMessage: 'Failed to load disability prevalence',
+  breakdowns: BREAKDOWNS,
+  build: ({ query, level, by }) => ({
+    sql: `
+      SELECT
+        h.census_year,
+        ${level.columns}
+        ${by.columns},
+        COUNT(*) AS persons,
+        COUNT(*) FILTER (WHERE p.has_disability) AS persons_with_disability,
+        COUNT(*) FILTER (WHERE cardinality(p.disability_type) > 1) AS with_multiple_types,
+        ROUND(100.0 * COUNT(*) FILTER (WHERE p.has_disability) / COUNT(*), 2) AS prevalence_pct
+      FROM persons p
+      JOIN households h ON h.id = p.household_id
+      ${level.joins}
+      WHERE h.census_year = $1
+        AND p.has_disability IS NOT NULL
+        ${qcFilter(query)}
+        ${level.where}
+      GROUP BY h.census_year, ${level.groupBy}${by.groupBy}
+      ORDER BY ${level.orderBy}${by.keys.map((k) => `, ${k}`).join('')};
+    `,
+  }),
+}));
+
+/**
+ * 2. Persons with each disability type
+ * GET /api/reports/disability/by-type?year=2024&province=01&by=sex
+ *
+ * A person reporting several types counts once under each of them and once
+ * under "multiple". share_of_disabled_pct is relative to all persons with
+ * a disability in the group, prevalence_pct to the whole group.
+ */
+router.get('/disability/by-type', requireAuth, reportRoute({
+  report: 'disability-by-type',
+  errorMessage: 'Failed to load disability types',
+  breakdowns: BREAKDOWNS,
+  params: () => [MULTIPLE],
+  build: ({ query, level, by }) => {
+    const keys = ['census_year', ...level.keys, ...by.keys].join(', ');
+    return {
+      sql: `
+        WITH scoped AS (
+          SELECT
+            h.census_year,
+            ${level.columns}
+            ${by.columns},
+            p.has_disability,
+            COALESCE(p.disability_type::text[], '{}') AS types
+          FROM persons p
+          JOIN households h ON h.id = p.household_id
+          ${level.joins}
+          WHERE h.census_year = $1
+            AND p.has_disability IS NOT NULL
+            ${qcFilter(query)}
+            ${level.where}
+        ),
+        counted AS (
+          SELECT
+            scoped.*,
+            COUNT(*) OVER grp AS persons,
+            COUNT(*) FILTER (WHERE has_disability) OVER grp AS persons_with_disability
+          FROM scoped
+          WINDOW grp AS (PARTITION BY ${keys})
+        )
+        SELECT
+          ${keys},
+          t.disability_type,
+          MAX(persons) AS persons,
+          MAX(persons_with_disability) AS persons_with_disability,
+          COUNT(*) AS persons_with_type,
+          ROUND(100.0 * COUNT(*) / NULLIF(MAX(persons_with_disability), 0), 2)
+            AS share_of_disabled_pct,
+          ROUND(100.0 * COUNT(*) / MAX(persons), 2) AS prevalence_pct
+        FROM counted
+        CROSS JOIN LATERAL unnest(
+          CASE WHEN cardinality(types) > 1 THEN types || $2::text ELSE types END
+        ) AS t(disability_type)
+        WHERE has_disability
+        GROUP BY ${keys}, t.disability_type
+        ORDER BY
+          ${[level.orderKey, ...by.keys].join(', ')},
+          t.disability_type = $2,
+          t.disability_type;
+      `,
+      mapRow: (row) => ({
+        ...row,
+        disability_type_label: TYPE_LABELS[row.disability_type] || row.disability_type,
+      }),
+    };
+  },
+}));
+
+module.exports = router;
@@ -0,0 +1,170 @@
+// src/routes/educationReports.js
+// Education statistics from the schooling and literacy questions on
+// persons: literacy, school attendance and educational attainment.
+const express = require('express');
+const { requireAuth } = require('./auth');
+const { EDUCATION_LEVEL } = require('../validation/codeLists');
+const {
+  AGE_SQL,
+  qcFilter,
+  reportRoute,
+} = require('../services/reportQuery');
+
+const router = express.Router();
+
+// Literacy is measured over the population aged 15 and over (GSO)
+const LITERACY_MIN_AGE = 15;
+// Attainment is reported for adults who have normally finished schooling
+const ADULT_MIN_AGE = 25;
+const EDUCATION_ORDER = Object.keys(EDUCATION_LEVEL);
+
+function withEducationLabel(row) {
+  return {
+    ...row,
+    education_label: EDUCATION_LEVEL[row.education_level] || row.education_level,
+  };
+}
+
+/**
+ * Highest level attained by adults, with each level's share of its group.
+ * unit: reportLevel() result, or null for the whole country.
+ * where: extra conditions; orderParam: the $n holding EDUCATION_ORDER.
+ */
+function attainmentSql(unit, { where, orderParam }) {
+  const partition = unit ? `h.census_year, ${unit.groupBy}` : 'h.census_year';
+
+  return `
+    SELECT
+      h.census_year,
+      ${unit ? `${unit.columns},` : ''}
+      p.highest_education_level AS education_level,
+      COUNT(*) AS persons,
+      ROUND(100.0 * COUNT(*) / SUM(COUNT(*)) OVER (PARTITION BY ${partition}), 2) AS share_pct
+    FROM persons p
+    JOIN households h ON h.id = p.household_id
+    ${unit ? unit.joins : ''}
+    WHERE ${AGE_SQL} >= ${ADULT_MIN_AGE}
+      AND p.highest_education_level IS NOT NULL
+      ${where}
+    GROUP BY ${partition}, p.highest_education_level
+    ORDER BY
+      ${unit ? `${unit.orderBy},` : ''}
+      h.census_year,
+      array_position($${orderParam}::text[], p.highest_education_level::text);
+  `;
+}
+
+/**
+ * 1. Literacy rate (population aged 15+) by age group and sex
+ * GET /api/reports/education/literacy?year=2024&province=01&level=district
+ */
+router.get('/education/literacy', requireAuth, reportRoute({
+  report: 'education-literacy',
+  errorMessage: 'Failed to load literacy data',
+  params: () => [LITERACY_MIN_AGE],
+  build: ({ query, level }) => ({
+    sql: `
+      SELECT
+        h.census_year,
+        ${level.columns},
+        CASE
+          WHEN ${AGE_SQL} BETWEEN 15 AND 24 THEN '15-24'
+          WHEN ${AGE_SQL} BETWEEN 25 AND 44 THEN '25-44'
+          WHEN ${AGE_SQL} BETWEEN 45 AND 59 THEN '45-59'
+          ELSE '60+'
+        END AS age_group,
+        p.sex,
+        COUNT(*) AS persons,
+        COUNT(*) FILTER (WHERE p.literacy) AS literate,
+        ROUND(100.0 * COUNT(*) FILTER (WHERE p.literacy) / COUNT(*), 2) AS literacy_rate_pct
+      FROM persons p
+      JOIN households h ON h.id = p.household_id
+      ${level.joins}
+      WHERE h.census_year = $1
+        AND ${AGE_SQL} >= $2
+        AND p.literacy IS NOT NULL
+        ${qcFilter(query)}
+        ${level.where}
+      GROUP BY h.census_year, ${level.groupBy}, age_group, p.sex
+      ORDER BY ${level.orderBy}, age_group, p.sex;
+    `,
+  }),
+}));
+
+/**
+ * 2. School attendance of school-age children (6-17) by sex and the age
+ *    band of each school level: 6-10 primary, 11-14 lower secondary,
+ *    15-17 upper secondary
+ * GET /api/reports/education/school-attendance?year=2024&province=01
+ */
+router.get('/education/school-attendance', requireAuth, reportRoute({
+  report: 'education-school-attendance',
+  errorMessage: 'Failed to load school attendance data',
+  build: ({ query, level }) => ({
+    sql: `
+      SELECT
+        h.census_year,
+        ${level.columns},
+        CASE
+          WHEN ${AGE_SQL} BETWEEN 6 AND 10 THEN '6-10'
+          WHEN ${AGE_SQL} BETWEEN 11 AND 14 THEN '11-14'
+          ELSE '15-17'
+        END AS age_group,
+        p.sex,
+        COUNT(*) AS children,
+        COUNT(*) FILTER (WHERE p.currently_attending) AS attending,
+        COUNT(*) FILTER (WHERE p.ever_attended_school = FALSE) AS never_attended,
+        ROUND(100.0 * COUNT(*) FILTER (WHERE p.currently_attending) / COUNT(*), 2)
+          AS attendance_rate_pct
+      FROM persons p
+      JOIN households h ON h.id = p.household_id
+      ${level.joins}
+      WHERE h.census_year = $1
+        AND ${AGE_SQL} BETWEEN 6 AND 17
+        AND p.currently_attending IS NOT NULL
+        ${qcFilter(query)}
+        ${level.where}
+      GROUP BY h.census_year, ${level.groupBy}, age_group, p.sex
+      ORDER BY ${level.orderBy}, MIN(${AGE_SQL}), p.sex;
+    `,
+  }),
+}));
+
+/**
+ * 3. Highest education attained by adults (25+)
+ * GET /api/reports/education/attainment?year=2024&province=01&level=district
+ */
+router.get('/education/attainment', requireAuth, reportRoute({
+  report: 'education-attainment',
+  errorMessage: 'Failed to load educational attainment',
+  params: () => [EDUCATION_ORDER],
+  build: ({ query, level }) => ({
+    sql: attainmentSql(level, {
+      where: `AND h.census_year = $1 ${qcFilter(query)} ${level.where}`,
+      orderParam: 2,
+    }),
+    mapRow: withEducationLabel,
+  }),
+}));
+
+/**
+ * 4. Educational attainment trend across census years (all VN, or per
+ *    province / district / ward)
+ * GET /api/reports/education/attainment-trend
+ *      ?province=01&level=district   (optional)
+ */
+router.get('/education/attainment-trend', requireAuth, reportRoute({
+  report: 'education-attainment-trend',
+  errorMessage: 'Failed to load educational attainment trend',
+  trend: true,
+  params: () => [EDUCATION_ORDER],
+  build: ({ query, level }) => ({
+    sql: attainmentSql(level, {
+      where: `${qcFilter(query)} ${level ? level.where : ''}`,
+      orderParam: 1,
+    }),
+    mapRow: withEducationLabel,
+  }),
+}));
+
+module.exports = router;
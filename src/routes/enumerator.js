@@ -0,0 +1,165 @@
+// src/routes/enumerator.js
+// Enumerators interview households (elderly, offline, no VNeID) and submit
+// on their behalf, restricted to the wards they are assigned to.
+const express = require('express');
+const { pool } = require('../db');
+const { requireAuth, requireRole } = require('./auth');
+const { prepareSubmission, insertSubmission } = require('../services/censusSubmission');
+const { getAssignedWardIds, checkWardAssignment } = require('../services/enumerators');
+const { resolveCensusYear, checkCollectionWindow } = require('../services/campaigns');
+
+const router = express.Router();
+
+/**
+ * GET /api/enumerator/wards
+ * Wards assigned to the current enumerator.
+ */
+router.get('/wards', requireAuth, requireRole('enumerator'), async (req, res) => {
+  try {
+    const wardIds = await getAssignedWardIds(pool, req.user.id);
+    res.json({ wardIds });
+  } catch (err) {
+    console.error('enumerator/wards error', err);
+    res.status(500).json({ error: 'Không thể tải địa bàn được phân công.' });
+  }
+});
+
+/**
+ * POST /api/enumerator/submit
+ * Body: { censusYear?, household, members }
+ *
+ * Proxy submission: members are linked to citizen_ids only through the
+ * CCCD the enumerator recorded, the household stores who captured it.
+ */
+router.post('/submit', requireAuth, requireRole('enumerator'), async (req, res) => {
+  const { censusYear, household, members } = req.body || {};
+
+  const client = await pool.connect();
+
+  try {
+    const year = await resolveCensusYear(client, censusYear);
+    const { open, message } = await checkCollectionWindow(client, year);
+    if (!open) {
+      return res.status(403).json({ error: message });
+    }
+
+    const assignedWardIds = await getAssignedWardIds(client, req.user.id);
+
+    const { errors, resolved } = await prepareSubmission(client, {
+      household,
+      members,
+      year,
+    });
+    const wardError = checkWardAssignment(household, assignedWardIds);
+    if (wardError) errors.push(wardError);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid household or members data', errors });
+    }
+
+    await client.query('BEGIN');
+
+    const result = await insertSubmission(client, {
+      citizenIdId: null,
+      year,
+      household,
+      members,
+      capturedByUserId: req.user.id,
+      resolved,
+    });
+    const { householdId, householdCode, personsInserted, conflicts, receipt } = result;
+
+    await client.query('COMMIT');
+
+    res.json({
+      status: 'ok',
+      householdId,
+      householdCode,
+      personsInserted,
+      conflicts,
+      receipt,
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('enumerator/submit error', err);
+    res.status(500).json({ error: 'Failed to save census data' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /api/enumerator/progress?year=2024
+ * Households and persons enumerated per assigned ward, in total and by
+ * the current enumerator.
+ */
+router.get('/progress', requireAuth, requireRole('enumerator'), async (req, res) => {
+  const sql = `
+    SELECT
+      ea.ward_id,
+      COUNT(DISTINCT h.id) AS household_count,
+      COUNT(DISTINCT h.id) FILTER (WHERE h.captured_by_user_id = $1) AS captured_by_me,
+      COUNT(p.id) AS population,
+      MAX(p.submission_date) AS last_submission_at
+    FROM enumerator_assignments ea
+    LEFT JOIN households h
+      ON h.ward_id = ea.ward_id
+     AND h.census_year = $2
+    LEFT JOIN persons p ON p.household_id = h.id
+    WHERE ea.user_id = $1
+    GROUP BY ea.ward_id
+    ORDER BY ea.ward_id;
+  `;
+
+  try {
+    const year = await resolveCensusYear(pool, req.query.year);
+    const { rows } = await pool.query(sql, [req.user.id, year]);
+    res.json({ censusYear: year, wards: rows });
+  } catch (err) {
+    console.error('enumerator/progress error', err);
+    res.status(500).json({ error: 'Không thể tải tiến độ điều tra.' });
+  }
+});
+
+/**
+ * PUT /api/enumerator/:userId/wards
+ * Body: { wardIds: number[] }
+ * Admin only: replace the ward assignments of an enumerator.
+ */
+router.put('/:userId/wards', requireAuth, requireRole('admin'), async (req, res) => {
+  const userId = parseInt(req.params.userId, 10);
+  const { wardIds } = req.body || {};
+
+  if (!userId || !Array.isArray(wardIds) || wardIds.some((w) => !Number.isInteger(w))) {
+    return res.status(400).json({ error: 'userId và wardIds (mảng số nguyên) là bắt buộc.' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    const userRes = await client.query('SELECT role FROM report_users WHERE id = $1', [userId]);
+    if (userRes.rowCount === 0 || userRes.rows[0].role !== 'enumerator') {
+      return res.status(404).json({ error: 'Không tìm thấy điều tra viên.' });
+    }
+
+    await client.query('BEGIN');
+    await client.query('DELETE FROM enumerator_assignments WHERE user_id = $1', [userId]);
+    for (const wardId of new Set(wardIds)) {
+      await client.query(
+        'INSERT INTO enumerator_assignments (user_id, ward_id) VALUES ($1, $2)',
+        [userId, wardId]
+      );
+    }
+    await client.query('COMMIT');
+
+    res.json({ status: 'ok', userId, wardIds: [...new Set(wardIds)] });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('enumerator/assign wards error', err);
+    res.status(500).json({ error: 'Không thể cập nhật địa bàn phân công.' });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,87 @@
+// src/routes/geography.js
+// Administrative hierarchy for the questionnaire's address pickers.
+const express = require('express');
+const { pool } = require('../db');
+
+const router = express.Router();
+
+/**
+ * GET /api/geography/provinces
+ */
+router.get('/provinces', async (_req, res) => {
+  try {
+    const { rows } = await pool.query(`
+      SELECT province_code, name_vi
+      FROM provinces
+      ORDER BY province_code;
+    `);
+    res.json(rows);
+  } catch (err) {
+    console.error('geography/provinces error', err);
+    res.status(500).json({ error: 'Không thể tải danh sách tỉnh/thành phố.' });
+  }
+});
+
+/**
+ * GET /api/geography/provinces/:provinceCode/districts
+ */
+router.get('/provinces/:provinceCode/districts', async (req, res) => {
+  const { provinceCode } = req.params;
+
+  try {
+    const provinceRes = await pool.query(
+      'SELECT 1 FROM provinces WHERE province_code = $1',
+      [provinceCode]
+    );
+    if (provinceRes.rowCount === 0) {
+      return res.status(404).json({ error: 'Tỉnh/thành phố không tồn tại.' });
+    }
+
+    const { rows } = await pool.query(
+      `
+      SELECT id AS district_id, district_code, name_vi, province_code
+      FROM districts
+      WHERE province_code = $1
+      ORDER BY district_code;
+      `,
+      [provinceCode]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('geography/districts error', err);
+    res.status(500).json({ error: 'Không thể tải danh sách quận/huyện.' });
+  }
+});
+
+/**
+ * GET /api/geography/districts/:districtId/wards
+ */
+router.get('/districts/:districtId/wards', async (req, res) => {
+  const districtId = parseInt(req.params.districtId, 10);
+  if (!districtId) {
+    return res.status(400).json({ error: 'Mã quận/huyện không hợp lệ.' });
+  }
+
+  try {
+    const districtRes = await pool.query('SELECT 1 FROM districts WHERE id = $1', [districtId]);
+    if (districtRes.rowCount === 0) {
+      return res.status(404).json({ error: 'Quận/huyện không tồn tại.' });
+    }
+
+    const { rows } = await pool.query(
+      `
+      SELECT id AS ward_id, ward_code, name_vi, district_id
+      FROM wards
+      WHERE district_id = $1
+      ORDER BY ward_code;
+      `,
+      [districtId]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('geography/wards error', err);
+    res.status(500).json({ error: 'Không thể tải danh sách phường/xã.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,78 @@
+// src/routes/householdCodes.js
+const express = require('express');
+const { pool } = require('../db');
+const { requireAuth } = require('./auth');
+const { parseHouseholdCode } = require('../services/householdCode');
+
+const router = express.Router();
+
+/**
+ * GET /api/household-codes/:code
+ * Validate a household code (check digit) and return the household's
+ * geography. The geography always comes from the stored household: the
+ * code keeps the units it was issued in, even after an amendment moves
+ * the household (encoded holds what the code itself says).
+ */
+router.get('/:code', requireAuth, async (req, res) => {
+  const parsed = parseHouseholdCode(req.params.code);
+
+  if (!parsed.valid) {
+    return res.status(400).json(parsed);
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `
+      SELECT
+        h.census_year,
+        h.province_code,
+        pr.name_vi AS province_name,
+        h.district_id,
+        d.district_code,
+        d.name_vi AS district_name,
+        h.ward_id,
+        w.ward_code,
+        w.name_vi AS ward_name
+      FROM households h
+      LEFT JOIN provinces pr ON pr.province_code = h.province_code
+      LEFT JOIN districts d ON d.id = h.district_id
+      LEFT JOIN wards w ON w.id = h.ward_id
+      WHERE h.household_code = $1
+      LIMIT 1
+      `,
+      [parsed.code]
+    );
+    const household = rows[0] || null;
+
+    return res.json({
+      valid: true,
+      format: parsed.format,
+      code: parsed.code,
+      exists: !!household,
+      censusYear: household?.census_year ?? parsed.censusYear ?? null,
+      provinceCode: household?.province_code ?? null,
+      provinceName: household?.province_name ?? null,
+      districtId: household?.district_id ?? null,
+      districtCode: household?.district_code ?? null,
+      districtName: household?.district_name ?? null,
+      wardId: household?.ward_id ?? null,
+      wardCode: household?.ward_code ?? null,
+      wardName: household?.ward_name ?? null,
+      encoded:
+        parsed.format === 'structured'
+          ? {
+            censusYear: parsed.censusYear,
+            provinceCode: parsed.provinceCode,
+            districtCode: parsed.districtCode,
+            wardCode: parsed.wardCode,
+            sequence: parsed.sequence,
+          }
+          : null,
+    });
+  } catch (err) {
+    console.error('household-codes lookup error', err);
+    return res.status(500).json({ error: 'Không thể tra cứu mã hộ.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,135 @@
+// src/routes/housingReports.js
+// Housing conditions and the composite living-standards index
+// (services/livingStandards.js).
+const express = require('express');
+const { requireAuth } = require('./auth');
+const {
+  AREA_SQL,
+  qcFilter,
+  reportRoute,
+} = require('../services/reportQuery');
+const {
+  INDICATORS,
+  MEMBERS_JOIN,
+  indicatorSql,
+  parseWeights,
+  indexSql,
+} = require('../services/livingStandards');
+
+const router = express.Router();
+
+const BREAKDOWNS = {
+  area_type: AREA_SQL,
+};
+
+// Households meeting an indicator, out of those that answered it
+function sharePct(sql) {
+  return `ROUND(100.0 * COUNT(*) FILTER (WHERE ${sql}) / NULLIF(COUNT(${sql}), 0), 2)`;
+}
+
+/**
+ * 1. Housing conditions
+ * GET /api/reports/housing/conditions?year=2024&province=01&level=ward
+ *      &by=area_type   (optional)
+ *
+ * Shares of households with durable housing, improved water, improved
+ * sanitation and clean cooking fuel (of households that answered), and
+ * floor area per person.
+ */
+router.get('/housing/conditions', requireAuth, reportRoute({
+  report: 'housing-conditions',
+  errorMessage: 'Failed to load housing conditions',
+  breakdowns: BREAKDOWNS,
+  build: ({ query, level, by, params }) => {
+    const shares = [
+      'durable_housing',
+      'improved_water',
+      'improved_sanitation',
+      'clean_cooking_fuel',
+    ].map((key) => `${sharePct(indicatorSql(key, params))} AS ${key}_pct`);
+    const withArea = 'h.floor_area_m2 IS NOT NULL AND m.members > 0';
+
+    return {
+      sql: `
+        SELECT
+          h.census_year,
+          ${level.columns}
+          ${by.columns},
+          COUNT(*) AS households,
+          ${shares.join(',\n          ')},
+          ROUND(
+            SUM(h.floor_area_m2) FILTER (WHERE ${withArea})
+              / NULLIF(SUM(m.members) FILTER (WHERE ${withArea}), 0),
+            2
+          ) AS floor_area_per_person
+        FROM households h
+        ${MEMBERS_JOIN}
+        ${level.joins}
+        WHERE h.census_year = $1
+          ${qcFilter(query)}
+          ${level.where}
+        GROUP BY h.census_year, ${level.groupBy}${by.groupBy}
+        ORDER BY ${level.orderBy}${by.keys.map((k) => `, ${k}`).join('')};
+      `,
+    };
+  },
+}));
+
+/**
+ * 2. Composite living-standards index (0-100), computed per household and
+ *    averaged by administrative unit
+ * GET /api/reports/housing/living-standards-index?year=2024&province=01&level=ward
+ *      &weights=durable_housing:2,improved_water:1,...   (optional, default equal)
+ *      &by=area_type   (optional)
+ */
+router.get('/housing/living-standards-index', requireAuth, reportRoute({
+  report: 'living-standards-index',
+  errorMessage: 'Failed to compute living-standards index',
+  breakdowns: BREAKDOWNS,
+  parse: (query) => parseWeights(query.weights),
+  build: ({ query, level, by, params, weights }) => {
+    const keys = ['census_year', ...level.keys, ...by.keys].join(', ');
+    const weightList = Object.entries(weights).map(([key, weight]) => ({
+      key,
+      label: INDICATORS[key].label,
+      weight,
+    }));
+
+    return {
+      sql: `
+        WITH scored AS (
+          SELECT
+            h.census_year,
+            ${level.columns}
+            ${by.columns},
+            ${indexSql(weights, params)} AS index_value
+          FROM households h
+          ${MEMBERS_JOIN}
+          ${level.joins}
+          WHERE h.census_year = $1
+            ${qcFilter(query)}
+            ${level.where}
+        )
+        SELECT
+          ${keys},
+          COUNT(*) AS households,
+          COUNT(index_value) AS households_scored,
+          ROUND(AVG(index_value), 2) AS average_index,
+          ROUND((percentile_cont(0.5) WITHIN GROUP (ORDER BY index_value))::numeric, 2)
+            AS median_index,
+          ROUND(100.0 * COUNT(*) FILTER (WHERE index_value < 50) / NULLIF(COUNT(index_value), 0), 2)
+            AS below_50_pct
+        FROM scored
+        GROUP BY ${keys}
+        ORDER BY ${[level.orderKey, ...by.keys].join(', ')};
+      `,
+      filters: {
+        ...level.metadata,
+        'Trọng số': weightList.map((w) => `${w.label}: ${w.weight}`).join('; '),
+      },
+      wrap: (rows) => ({ weights: weightList, rows }),
+    };
+  },
+}));
+
+module.exports = router;
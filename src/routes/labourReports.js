@@ -0,0 +1,170 @@
+// src/routes/labourReports.js
+// Labour force statistics for the population aged 15+ from main_activity
+// (labour force = working + unemployed), and the employed population by
+// industry and occupation. Answers outside the code lists (free text) are
+// counted as unclassified and kept out of the rates and shares.
+const express = require('express');
+const { requireAuth } = require('./auth');
+const { MAIN_ACTIVITY, INDUSTRY, OCCUPATION } = require('../validation/codeLists');
+const {
+  AGE_SQL,
+  AREA_SQL,
+  qcFilter,
+  reportRoute,
+} = require('../services/reportQuery');
+
+const router = express.Router();
+
+const WORKING_AGE_MIN = 15;
+const UNCLASSIFIED = 'unclassified';
+const UNCLASSIFIED_LABEL = 'Chưa phân loại';
+
+// Optional ?by= breakdowns on top of the administrative level
+const BREAKDOWNS = {
+  sex: 'p.sex',
+  age_group: `
+      CASE
+        WHEN ${AGE_SQL} BETWEEN 15 AND 24 THEN '15-24'
+        WHEN ${AGE_SQL} BETWEEN 25 AND 34 THEN '25-34'
+        WHEN ${AGE_SQL} BETWEEN 35 AND 44 THEN '35-44'
+        WHEN ${AGE_SQL} BETWEEN 45 AND 54 THEN '45-54'
+        WHEN ${AGE_SQL} BETWEEN 55 AND 64 THEN '55-64'
+        ELSE '65+'
+      END`,
+  area_type: AREA_SQL,
+};
+
+/**
+ * Employed persons by a coded column (industry / occupation) with each
+ * code's share of the classified employed in the group. Values outside
+ * the code list make up one "unclassified" row without a share.
+ */
+function employedByRoute({ report, column, list, errorMessage }) {
+  return reportRoute({
+    report,
+    errorMessage,
+    breakdowns: BREAKDOWNS,
+    params: () => [WORKING_AGE_MIN, Object.keys(list), UNCLASSIFIED],
+    build: ({ query, level, by }) => {
+      const partition = `h.census_year, ${level.groupBy}${by.groupBy}`;
+      const coded = `p.${column} = ANY($3::text[])`;
+      const code = `CASE WHEN ${coded} THEN p.${column}::text ELSE $4 END`;
+      return {
+        sql: `
+          SELECT
+            h.census_year,
+            ${level.columns}
+            ${by.columns},
+            ${code} AS ${column},
+            COUNT(*) AS employed,
+            CASE WHEN ${code} <> $4 THEN
+              ROUND(
+                100.0 * COUNT(*)
+                  / SUM(COUNT(*) FILTER (WHERE ${coded})) OVER (PARTITION BY ${partition}),
+                2
+              )
+            END AS share_pct
+          FROM persons p
+          JOIN households h ON h.id = p.household_id
+          ${level.joins}
+          WHERE h.census_year = $1
+            AND ${AGE_SQL} >= $2
+            AND p.main_activity = 'working'
+            AND p.${column} IS NOT NULL
+            ${qcFilter(query)}
+            ${level.where}
+          GROUP BY ${partition}, ${code}
+          ORDER BY
+            ${level.orderBy}${by.keys.map((k) => `, ${k}`).join('')},
+            ${code} = $4,
+            ${code};
+        `,
+        mapRow: (row) => ({
+          ...row,
+          [`${column}_label`]: row[column] === UNCLASSIFIED ? UNCLASSIFIED_LABEL : list[row[column]],
+        }),
+      };
+    },
+  });
+}
+
+/**
+ * 1. Labour force participation, employment and unemployment rates
+ * GET /api/reports/labour/force?year=2024&province=01&level=district
+ *      &by=sex,age_group,area_type   (optional breakdowns)
+ *
+ * participation_rate_pct: labour force / population 15+
+ * employment_rate_pct:    employed / population 15+
+ * unemployment_rate_pct:  unemployed / labour force
+ *
+ * The population 15+ counts only coded main activities; free-text answers
+ * are reported as `unclassified` and left out of every rate.
+ */
+router.get('/labour/force', requireAuth, reportRoute({
+  report: 'labour-force',
+  errorMessage: 'Failed to load labour force data',
+  breakdowns: BREAKDOWNS,
+  params: () => [WORKING_AGE_MIN, Object.keys(MAIN_ACTIVITY)],
+  build: ({ query, level, by }) => ({
+    sql: `
+      SELECT
+        h.census_year,
+        ${level.columns}
+        ${by.columns},
+        COUNT(*) FILTER (WHERE p.main_activity = ANY($3::text[])) AS working_age_population,
+        COUNT(*) FILTER (WHERE NOT p.main_activity = ANY($3::text[])) AS unclassified,
+        COUNT(*) FILTER (WHERE p.main_activity IN ('working', 'unemployed')) AS labour_force,
+        COUNT(*) FILTER (WHERE p.main_activity = 'working') AS employed,
+        COUNT(*) FILTER (WHERE p.main_activity = 'unemployed') AS unemployed,
+        ROUND(
+          100.0 * COUNT(*) FILTER (WHERE p.main_activity IN ('working', 'unemployed'))
+            / NULLIF(COUNT(*) FILTER (WHERE p.main_activity = ANY($3::text[])), 0),
+          2
+        ) AS participation_rate_pct,
+        ROUND(
+          100.0 * COUNT(*) FILTER (WHERE p.main_activity = 'working')
+            / NULLIF(COUNT(*) FILTER (WHERE p.main_activity = ANY($3::text[])), 0),
+          2
+        ) AS employment_rate_pct,
+        ROUND(
+          100.0 * COUNT(*) FILTER (WHERE p.main_activity = 'unemployed')
+            / NULLIF(COUNT(*) FILTER (WHERE p.main_activity IN ('working', 'unemployed')), 0),
+          2
+        ) AS unemployment_rate_pct
+      FROM persons p
+      JOIN households h ON h.id = p.household_id
+      ${level.joins}
+      WHERE h.census_year = $1
+        AND ${AGE_SQL} >= $2
+        AND p.main_activity IS NOT NULL
+        ${qcFilter(query)}
+        ${level.where}
+      GROUP BY h.census_year, ${level.groupBy}${by.groupBy}
+      ORDER BY ${level.orderBy}${by.keys.map((k) => `, ${k}`).join('')};
+    `,
+  }),
+}));
+
+/**
+ * 2. Employed persons by industry (VSIC section)
+ * GET /api/reports/labour/employment-by-industry?year=2024&province=01&by=sex
+ */
+router.get('/labour/employment-by-industry', requireAuth, employedByRoute({
+  report: 'labour-employment-by-industry',
+  column: 'industry',
+  list: INDUSTRY,
+  errorMessage: 'Failed to load employment by industry',
+}));
+
+/**
+ * 3. Employed persons by occupation (major group)
+ * GET /api/reports/labour/employment-by-occupation?year=2024&province=01&by=sex
+ */
+router.get('/labour/employment-by-occupation', requireAuth, employedByRoute({
+  report: 'labour-employment-by-occupation',
+  column: 'occupation',
+  list: OCCUPATION,
+  errorMessage: 'Failed to load employment by occupation',
+}));
+
+module.exports = router;
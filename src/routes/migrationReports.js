@@ -0,0 +1,145 @@
+// src/routes/migrationReports.js
+// Internal migration between provinces, from persons.migration_status and
+// previous_province_code (current province = the household's province).
+const express = require('express');
+const { pool } = require('../db');
+const { requireAuth } = require('./auth');
+const { MIGRANT_STATUSES } = require('../validation/codeLists');
+const { qcFilter, isProvinceCode, reportRoute } = require('../services/reportQuery');
+
+const router = express.Router();
+
+const DEFAULT_TOP_CORRIDORS = 10;
+const MAX_TOP_CORRIDORS = 100;
+
+// Migrants per 1000 population
+function perMille(count, population) {
+  return population > 0 ? Math.round((count * 100000) / population) / 100 : null;
+}
+
+/**
+ * JSON body of the origin-destination report.
+ * flows: rows of the flow query; populations: [{ province_code, province_name, population }].
+ *   provinces   per-province population, in / out / net migration and rates (‰)
+ *   flows       edge list for flow maps
+ *   matrix      square matrix (matrix.values[i][j] = migrants from
+ *               matrix.provinces[i] to matrix.provinces[j]) for chord diagrams
+ *   topCorridors  the largest flows
+ */
+function buildOriginDestination(flows, populations, { year, top }) {
+  const codes = populations.map((p) => p.province_code);
+  const index = new Map(codes.map((code, i) => [code, i]));
+  const values = codes.map(() => codes.map(() => 0));
+  const inCount = new Map();
+  const outCount = new Map();
+
+  const edges = flows.map((f) => {
+    const migrants = Number(f.migrants);
+    if (index.has(f.origin) && index.has(f.destination)) {
+      values[index.get(f.origin)][index.get(f.destination)] = migrants;
+    }
+    inCount.set(f.destination, (inCount.get(f.destination) || 0) + migrants);
+    outCount.set(f.origin, (outCount.get(f.origin) || 0) + migrants);
+    return {
+      origin: f.origin,
+      originName: f.origin_name,
+      destination: f.destination,
+      destinationName: f.destination_name,
+      migrants,
+    };
+  });
+
+  const provinces = populations.map((p) => {
+    const population = Number(p.population);
+    const inMigrants = inCount.get(p.province_code) || 0;
+    const outMigrants = outCount.get(p.province_code) || 0;
+    return {
+      code: p.province_code,
+      name: p.province_name,
+      population,
+      inMigrants,
+      outMigrants,
+      netMigration: inMigrants - outMigrants,
+      inMigrationRate: perMille(inMigrants, population),
+      outMigrationRate: perMille(outMigrants, population),
+      netMigrationRate: perMille(inMigrants - outMigrants, population),
+    };
+  });
+
+  return {
+    censusYear: year,
+    rateUnit: 'per_1000_population',
+    provinces,
+    flows: edges,
+    matrix: { provinces: codes, values },
+    topCorridors: [...edges].sort((a, b) => b.migrants - a.migrants).slice(0, top),
+  };
+}
+
+/**
+ * Origin-destination matrix of inter-province migration
+ * GET /api/reports/migration/origin-destination?year=2024
+ *      &province=01   (optional: only flows into or out of this province)
+ *      &top=10        (number of top corridors, max 100)
+ *
+ * CSV / XLSX exports contain the flow list.
+ */
+router.get('/migration/origin-destination', requireAuth, reportRoute({
+  report: 'migration-origin-destination',
+  errorMessage: 'Failed to load migration data',
+  alias: null,
+  parse: (query) => {
+    const top = query.top === undefined ? DEFAULT_TOP_CORRIDORS : Number(query.top);
+    if (!Number.isInteger(top) || top < 1 || top > MAX_TOP_CORRIDORS) {
+      return { error: `Invalid ?top= (1-${MAX_TOP_CORRIDORS})` };
+    }
+    const province = query.province ? String(query.province) : null;
+    if (province && !isProvinceCode(province)) {
+      return { error: 'Invalid ?province=' };
+    }
+    return { top, province };
+  },
+  params: (_query, { province }) => [MIGRANT_STATUSES, province],
+  build: async ({ query, year, top, province }) => {
+    const { rows: populations } = await pool.query(
+      `
+      SELECT pr.province_code, pr.name_vi AS province_name, COUNT(p.id) AS population
+      FROM provinces pr
+      LEFT JOIN households h
+        ON h.province_code = pr.province_code
+       AND h.census_year = $1
+       ${qcFilter(query)}
+      LEFT JOIN persons p ON p.household_id = h.id
+      GROUP BY pr.province_code, pr.name_vi
+      ORDER BY pr.province_code;
+      `,
+      [year]
+    );
+
+    return {
+      sql: `
+        SELECT
+          p.previous_province_code AS origin,
+          po.name_vi AS origin_name,
+          h.province_code AS destination,
+          pd.name_vi AS destination_name,
+          COUNT(*) AS migrants
+        FROM persons p
+        JOIN households h ON h.id = p.household_id
+        JOIN provinces po ON po.province_code = p.previous_province_code
+        JOIN provinces pd ON pd.province_code = h.province_code
+        WHERE h.census_year = $1
+          AND p.migration_status = ANY($2::text[])
+          AND p.previous_province_code <> h.province_code
+          AND ($3::text IS NULL OR $3 IN (p.previous_province_code, h.province_code))
+          ${qcFilter(query)}
+        GROUP BY p.previous_province_code, po.name_vi, h.province_code, pd.name_vi
+        ORDER BY p.previous_province_code, h.province_code;
+      `,
+      province,
+      wrap: (rows) => buildOriginDestination(rows, populations, { year, top }),
+    };
+  },
+}));
+
+module.exports = router;
@@ -0,0 +1,98 @@
+// src/routes/myData.js
+// Citizen's own data: full export and correction / deletion requests.
+const express = require('express');
+const { pool } = require('../db');
+const { authCitizen } = require('./vneidAuth');
+const { findSubmission } = require('../services/censusSubmission');
+const { resolveCensusYear } = require('../services/campaigns');
+const { REQUEST_TYPES, mapRequest, exportCitizenData } = require('../services/dataRequests');
+
+const router = express.Router();
+
+/**
+ * GET /api/my-data/export
+ * Everything stored about the citizen and the households they head, as a
+ * JSON download.
+ */
+router.get('/export', authCitizen, async (req, res) => {
+  const { citizenIdId } = req.citizenAuth;
+
+  try {
+    const data = await exportCitizenData(pool, citizenIdId);
+    res.setHeader('Content-Disposition', 'attachment; filename="du-lieu-dieu-tra.json"');
+    res.json(data);
+  } catch (err) {
+    console.error('my-data/export error', err);
+    res.status(500).json({ error: 'Không thể xuất dữ liệu.' });
+  }
+});
+
+/**
+ * GET /api/my-data/requests
+ */
+router.get('/requests', authCitizen, async (req, res) => {
+  const { citizenIdId } = req.citizenAuth;
+
+  try {
+    const { rows } = await pool.query(
+      'SELECT * FROM data_requests WHERE citizen_id_id = $1 ORDER BY created_at DESC',
+      [citizenIdId]
+    );
+    res.json(rows.map(mapRequest));
+  } catch (err) {
+    console.error('my-data/requests error', err);
+    res.status(500).json({ error: 'Không thể tải danh sách yêu cầu.' });
+  }
+});
+
+/**
+ * POST /api/my-data/requests
+ * Body: { type: 'correction' | 'deletion', details, censusYear? }
+ * Filed against the household the citizen submitted for that census year.
+ */
+router.post('/requests', authCitizen, async (req, res) => {
+  const { citizenIdId } = req.citizenAuth;
+  const { type, details, censusYear } = req.body || {};
+
+  if (!REQUEST_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type phải là một trong: ${REQUEST_TYPES.join(', ')}.` });
+  }
+  if (type === 'correction' && !String(details || '').trim()) {
+    return res.status(400).json({ error: 'Vui lòng mô tả thông tin cần chỉnh sửa.' });
+  }
+
+  try {
+    const year = await resolveCensusYear(pool, censusYear);
+    const existing = await findSubmission(pool, citizenIdId, year);
+    if (!existing) {
+      return res.status(404).json({ error: 'Chưa có phiếu điều tra cho kỳ này.' });
+    }
+
+    const pending = await pool.query(
+      `
+      SELECT 1 FROM data_requests
+      WHERE household_id = $1 AND request_type = $2 AND status = 'pending'
+      `,
+      [existing.household_id, type]
+    );
+    if (pending.rowCount > 0) {
+      return res.status(409).json({ error: 'Đã có một yêu cầu cùng loại đang chờ xử lý.' });
+    }
+
+    const { rows } = await pool.query(
+      `
+      INSERT INTO data_requests (citizen_id_id, household_id, census_year, request_type, details)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+      `,
+      [citizenIdId, existing.household_id, year, type, String(details || '').trim() || null]
+    );
+
+    res.status(201).json(mapRequest(rows[0]));
+  } catch (err) {
+    console.error('my-data/create request error', err);
+    res.status(500).json({ error: 'Không thể gửi yêu cầu.' });
+  }
+});
+
+module.exports = router;
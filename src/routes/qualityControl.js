@@ -0,0 +1,145 @@
+// src/routes/qualityControl.js
+// Staff review queue for households flagged by automatic quality control.
+const express = require('express');
+const { pool } = require('../db');
+const { requireAuth, requireRole } = require('./auth');
+const { loadSubmission } = require('../services/censusSubmission');
+const { SEVERITIES, REVIEW_DECISIONS } = require('../services/qualityControl');
+
+const router = express.Router();
+
+// Reviewers see initials instead of the name and only the birth year
+// (persons.birth_year); the QC rules need nothing more.
+function maskMember(member) {
+  const { full_name: fullName, date_of_birth: _dateOfBirth, ...rest } = member;
+  const initials = fullName
+    ? String(fullName).trim().split(/\s+/).map((part) => `${part[0]}.`).join(' ')
+    : null;
+  return { ...rest, full_name: initials };
+}
+
+/**
+ * GET /api/qc/households?year=2024&province=01&status=flagged&severity=high
+ * status: flagged (default) | accepted | rejected
+ * severity: only households with at least one flag of this severity
+ */
+router.get('/households', requireAuth, requireRole('admin'), async (req, res) => {
+  const year = parseInt(req.query.year, 10) || null;
+  const province = req.query.province || null;
+  const status = req.query.status || 'flagged';
+  const severity = req.query.severity || null;
+
+  if (!['flagged', ...REVIEW_DECISIONS].includes(status)) {
+    return res.status(400).json({ error: 'Invalid ?status=' });
+  }
+  if (severity && !SEVERITIES.includes(severity)) {
+    return res.status(400).json({ error: 'Invalid ?severity=' });
+  }
+
+  const sql = `
+    SELECT
+      h.id AS household_id,
+      h.household_code,
+      h.census_year,
+      pr.province_code,
+      pr.name_vi AS province_name,
+      h.district_id,
+      h.ward_id,
+      h.qc_status,
+      COUNT(f.id) AS flag_count,
+      COUNT(f.id) FILTER (WHERE f.severity = 'high') AS high_count,
+      ARRAY_AGG(DISTINCT f.rule) AS rules
+    FROM households h
+    JOIN provinces pr ON pr.province_code = h.province_code
+    JOIN qc_flags f ON f.household_id = h.id
+    WHERE h.qc_status = $1
+      AND ($2::int IS NULL OR h.census_year = $2)
+      AND ($3::text IS NULL OR h.province_code = $3)
+    GROUP BY h.id, pr.province_code, pr.name_vi
+    HAVING $4::text IS NULL OR BOOL_OR(f.severity = $4)
+    ORDER BY high_count DESC, flag_count DESC, h.id;
+  `;
+
+  try {
+    const { rows } = await pool.query(sql, [status, year, province, severity]);
+    res.json(rows);
+  } catch (err) {
+    console.error('qc/households error', err);
+    res.status(500).json({ error: 'Failed to load flagged households' });
+  }
+});
+
+/**
+ * GET /api/qc/households/:id
+ * Household, members (names as initials, no date of birth) and all QC
+ * flags.
+ */
+router.get('/households/:id', requireAuth, requireRole('admin'), async (req, res) => {
+  const householdId = parseInt(req.params.id, 10);
+
+  try {
+    const submission = householdId && (await loadSubmission(pool, householdId));
+    if (!submission) {
+      return res.status(404).json({ error: 'Household not found' });
+    }
+
+    const { rows: flags } = await pool.query(
+      `
+      SELECT id, rule, severity, message, details, created_at
+      FROM qc_flags
+      WHERE household_id = $1
+      ORDER BY CASE severity WHEN 'high' THEN 0 WHEN 'medium' THEN 1 ELSE 2 END, id
+      `,
+      [householdId]
+    );
+
+    res.json({
+      household: submission.household,
+      members: submission.members.map(maskMember),
+      flags,
+    });
+  } catch (err) {
+    console.error('qc/household detail error', err);
+    res.status(500).json({ error: 'Failed to load household' });
+  }
+});
+
+/**
+ * POST /api/qc/households/:id/review
+ * Body: { decision: 'accepted' | 'rejected', note? }
+ */
+router.post('/households/:id/review', requireAuth, requireRole('admin'), async (req, res) => {
+  const householdId = parseInt(req.params.id, 10);
+  const { decision, note } = req.body || {};
+
+  if (!REVIEW_DECISIONS.includes(decision)) {
+    return res.status(400).json({ error: `decision must be one of: ${REVIEW_DECISIONS.join(', ')}` });
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `
+      UPDATE households SET
+        qc_status = $2,
+        qc_reviewed_by_user_id = $3,
+        qc_reviewed_at = NOW(),
+        qc_review_note = $4
+      WHERE id = $1
+        AND qc_status <> 'clean'
+      RETURNING id, qc_status, qc_reviewed_at
+      `,
+      [householdId, decision, req.user.id, note || null]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Flagged household not found' });
+    }
+
+    res.json({ status: 'ok', household: rows[0] });
+  } catch (err) {
+    console.error('qc/review error', err);
+    res.status(500).json({ error: 'Failed to save review' });
+  }
+});
+
+module.exports = router;
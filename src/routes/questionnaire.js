@@ -0,0 +1,30 @@
+// src/routes/questionnaire.js
+// Questionnaire definition for the census form (public, no personal data).
+const express = require('express');
+const { pool } = require('../db');
+const { resolveCensusYear } = require('../services/campaigns');
+const { loadQuestionnaire } = require('../services/questionnaire');
+
+const router = express.Router();
+
+/**
+ * GET /api/questionnaire?year=2024
+ * Sections and questions (answer type, options, skip logic) for the
+ * census year, default: the active campaign's year. Questions marked
+ * extension: true are answered in household/member.extraAnswers.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const year = await resolveCensusYear(pool, req.query.year);
+    const questionnaire = await loadQuestionnaire(pool, year);
+    if (!questionnaire) {
+      return res.status(404).json({ error: `Chưa có phiếu điều tra cho năm ${year}.` });
+    }
+    res.json(questionnaire);
+  } catch (err) {
+    console.error('questionnaire error', err);
+    res.status(500).json({ error: 'Không thể tải phiếu điều tra.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,71 @@
+// src/routes/receipts.js
+// Public verification of submission receipts. Only what is printed on the
+// receipt itself is returned, never names or addresses.
+const express = require('express');
+const { pool } = require('../db');
+const {
+  normalizeReceiptCode,
+  findReceiptByCode,
+  verifyReceiptToken,
+} = require('../services/receipts');
+
+const router = express.Router();
+
+function publicView(receipt) {
+  return {
+    valid: true,
+    code: receipt.code,
+    householdCode: receipt.householdCode,
+    censusYear: receipt.censusYear,
+    submittedAt: receipt.submittedAt,
+    amendedAt: receipt.amendedAt,
+    memberCount: receipt.memberCount,
+    // A superseded receipt was genuine but the household was amended later
+    superseded: !!receipt.supersededAt,
+  };
+}
+
+/**
+ * GET /api/receipts/:code
+ */
+router.get('/:code', async (req, res) => {
+  const code = normalizeReceiptCode(req.params.code);
+  if (!code) {
+    return res.status(400).json({ valid: false, error: 'Mã xác minh không đúng định dạng.' });
+  }
+
+  try {
+    const receipt = await findReceiptByCode(pool, code);
+    if (!receipt) {
+      return res.status(404).json({ valid: false, error: 'Không tìm thấy phiếu xác nhận.' });
+    }
+    res.json(publicView(receipt));
+  } catch (err) {
+    console.error('receipts verify error', err);
+    res.status(500).json({ error: 'Không thể xác minh phiếu.' });
+  }
+});
+
+/**
+ * POST /api/receipts/verify
+ * Body: { token }  (signature printed on the PDF)
+ */
+router.post('/verify', async (req, res) => {
+  const signed = verifyReceiptToken(req.body?.token);
+  if (!signed) {
+    return res.status(400).json({ valid: false, error: 'Chữ ký không hợp lệ.' });
+  }
+
+  try {
+    const receipt = await findReceiptByCode(pool, signed.code);
+    if (!receipt) {
+      return res.status(404).json({ valid: false, error: 'Không tìm thấy phiếu xác nhận.' });
+    }
+    res.json(publicView(receipt));
+  } catch (err) {
+    console.error('receipts verify token error', err);
+    res.status(500).json({ error: 'Không thể xác minh phiếu.' });
+  }
+});
+
+module.exports = router;
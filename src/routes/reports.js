@@ -2,7 +2,23 @@
 const express = require('express');
 const { pool } = require('../db');
 const OpenAI = require('openai');
-const { requireAuth } = require('./auth');
+const { requireAuth, requireRole } = require('./auth');
+const { getDefaultCensusYear } = require('../services/campaigns');
+const { rebuildStats, getStatsStatus } = require('../services/statsAggregates');
+const { loadQuestionnaire, findExtensionQuestion } = require('../services/questionnaire');
+const {
+  DIMENSIONS,
+  MEASURES,
+  buildStatsQuery,
+  formatStatsRow,
+} = require('../services/statsQuery');
+const {
+  reportYear,
+  qcFilter,
+  aggregateQcFilter,
+  reportLevel,
+  respond,
+} = require('../services/reportQuery');
 
 const router = express.Router();
 
@@ -10,15 +26,6 @@ const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY,
 });
 
-/**
- * Helpers
- */
-function parseYear(q) {
-  if (!q) return null;
-  const y = parseInt(q, 10);
-  return Number.isNaN(y) ? null : y;
-}
-
 // small helper to compute simple projection from trend rows
 function simpleProjection(trendRows, yearsAhead = 5) {
   if (!trendRows || trendRows.length < 2) return null;
@@ -52,30 +59,44 @@ function simpleProjection(trendRows, yearsAhead = 5) {
 /**
  * 1. Population by province (for bar chart)
  * GET /api/reports/population-by-province?year=2024
+ *      &level=district&province=01   (optional drill-down)
  */
 router.get('/population-by-province', requireAuth, async (req, res) => {
-  const year = parseYear(req.query.year);
+  const year = await reportYear(req.query.year);
   if (!year) {
-    return res.status(400).json({ error: 'Missing or invalid ?year=' });
+    return res.status(400).json({ error: 'Invalid ?year=' });
+  }
+
+  const params = [year];
+  const level = reportLevel(req.query, 's', params);
+  if (level.error) {
+    return res.status(400).json({ error: level.error });
   }
 
   const sql = `
     SELECT
-      p.census_year,
-      pr.province_code,
-      pr.name_vi AS province_name,
-      COUNT(*) AS population
-    FROM persons p
-    JOIN households h ON h.id = p.household_id
-    JOIN provinces pr ON pr.province_code = h.province_code
-    WHERE p.census_year = $1
-    GROUP BY p.census_year, pr.province_code, pr.name_vi
-    ORDER BY pr.province_code;
+      s.census_year,
+      ${level.columns},
+      SUM(s.population) AS population
+    FROM stats_person_counts s
+    ${level.joins}
+    WHERE s.census_year = $1
+      ${aggregateQcFilter(req.query)}
+      ${level.where}
+    GROUP BY s.census_year, ${level.groupBy}
+    ORDER BY ${level.orderBy};
   `;
 
   try {
-    const { rows } = await pool.query(sql, [year]);
-    res.json(rows);
+    await respond(req, res, {
+      report: 'population-by-province',
+      sql,
+      params,
+      year,
+      province: level.province,
+      filters: level.metadata,
+      aggregated: true,
+    });
   } catch (err) {
     console.error('population-by-province error', err);
     res.status(500).json({ error: 'Failed to load population by province' });
@@ -84,65 +105,46 @@ router.get('/population-by-province', requireAuth, async (req, res) => {
 
 /**
  * 2. Age structure by province & age group
- * GET /api/reports/age-structure?year=2024&province=01
+ * GET /api/reports/age-structure?year=2024&province=01&level=ward
  * uses query #2
  */
 router.get('/age-structure', requireAuth, async (req, res) => {
-  const year = parseYear(req.query.year);
-  const province = req.query.province || null;
-
+  const year = await reportYear(req.query.year);
   if (!year) {
-    return res.status(400).json({ error: 'Missing or invalid ?year=' });
+    return res.status(400).json({ error: 'Invalid ?year=' });
   }
 
   const params = [year];
-  let provinceFilter = '';
-
-  if (province) {
-    params.push(province);
-    provinceFilter = 'AND pr.province_code = $2';
+  const level = reportLevel(req.query, 's', params);
+  if (level.error) {
+    return res.status(400).json({ error: level.error });
   }
 
   const sql = `
     SELECT
-      p.census_year,
-      pr.province_code,
-      pr.name_vi AS province_name,
-      CASE
-        WHEN age_years < 15 THEN '0-14'
-        WHEN age_years BETWEEN 15 AND 24 THEN '15-24'
-        WHEN age_years BETWEEN 25 AND 44 THEN '25-44'
-        WHEN age_years BETWEEN 45 AND 59 THEN '45-59'
-        ELSE '60+'
-      END AS age_group,
-      COUNT(*) AS population
-    FROM (
-      SELECT
-        p.*,
-        (p.census_year - EXTRACT(YEAR FROM p.date_of_birth)::INT) AS age_years
-      FROM persons p
-    ) p
-    JOIN households h ON h.id = p.household_id
-    JOIN provinces pr ON pr.province_code = h.province_code
-    WHERE p.census_year = $1
-      ${provinceFilter}
-    GROUP BY
-      p.census_year,
-      pr.province_code,
-      pr.name_vi,
-      CASE
-        WHEN age_years < 15 THEN '0-14'
-        WHEN age_years BETWEEN 15 AND 24 THEN '15-24'
-        WHEN age_years BETWEEN 25 AND 44 THEN '25-44'
-        WHEN age_years BETWEEN 45 AND 59 THEN '45-59'
-        ELSE '60+'
-      END
-    ORDER BY pr.province_code, age_group;
+      s.census_year,
+      ${level.columns},
+      s.age_group,
+      SUM(s.population) AS population
+    FROM stats_person_counts s
+    ${level.joins}
+    WHERE s.census_year = $1
+      ${aggregateQcFilter(req.query)}
+      ${level.where}
+    GROUP BY s.census_year, ${level.groupBy}, s.age_group
+    ORDER BY ${level.orderBy}, s.age_group;
   `;
 
   try {
-    const { rows } = await pool.query(sql, params);
-    res.json(rows);
+    await respond(req, res, {
+      report: 'age-structure',
+      sql,
+      params,
+      year,
+      province: level.province,
+      filters: level.metadata,
+      aggregated: true,
+    });
   } catch (err) {
     console.error('age-structure error', err);
     res.status(500).json({ error: 'Failed to load age structure' });
@@ -151,44 +153,46 @@ router.get('/age-structure', requireAuth, async (req, res) => {
 
 /**
  * 3. Sex ratio by province
- * GET /api/reports/sex-ratio?year=2024&province=01
+ * GET /api/reports/sex-ratio?year=2024&province=01&level=district
  * uses query #3
  */
 router.get('/sex-ratio', requireAuth, async (req, res) => {
-  const year = parseYear(req.query.year);
-  const province = req.query.province || null;
-
+  const year = await reportYear(req.query.year);
   if (!year) {
-    return res.status(400).json({ error: 'Missing or invalid ?year=' });
+    return res.status(400).json({ error: 'Invalid ?year=' });
   }
 
   const params = [year];
-  let provinceFilter = '';
-
-  if (province) {
-    params.push(province);
-    provinceFilter = 'AND pr.province_code = $2';
+  const level = reportLevel(req.query, 's', params);
+  if (level.error) {
+    return res.status(400).json({ error: level.error });
   }
 
   const sql = `
     SELECT
-      p.census_year,
-      pr.province_code,
-      pr.name_vi AS province_name,
-      p.sex,
-      COUNT(*) AS population
-    FROM persons p
-    JOIN households h ON h.id = p.household_id
-    JOIN provinces pr ON pr.province_code = h.province_code
-    WHERE p.census_year = $1
-      ${provinceFilter}
-    GROUP BY p.census_year, pr.province_code, pr.name_vi, p.sex
-    ORDER BY pr.province_code, p.sex;
+      s.census_year,
+      ${level.columns},
+      s.sex,
+      SUM(s.population) AS population
+    FROM stats_person_counts s
+    ${level.joins}
+    WHERE s.census_year = $1
+      ${aggregateQcFilter(req.query)}
+      ${level.where}
+    GROUP BY s.census_year, ${level.groupBy}, s.sex
+    ORDER BY ${level.orderBy}, s.sex;
   `;
 
   try {
-    const { rows } = await pool.query(sql, params);
-    res.json(rows);
+    await respond(req, res, {
+      report: 'sex-ratio',
+      sql,
+      params,
+      year,
+      province: level.province,
+      filters: level.metadata,
+      aggregated: true,
+    });
   } catch (err) {
     console.error('sex-ratio error', err);
     res.status(500).json({ error: 'Failed to load sex ratio data' });
@@ -198,35 +202,50 @@ router.get('/sex-ratio', requireAuth, async (req, res) => {
 /**
  * 4. Internet access rate by province
  * GET /api/reports/internet-access?year=2024
+ *      &level=ward&district=12   (optional drill-down)
  * uses query #6
  */
 router.get('/internet-access', requireAuth, async (req, res) => {
-  const year = parseYear(req.query.year);
+  const year = await reportYear(req.query.year);
   if (!year) {
-    return res.status(400).json({ error: 'Missing or invalid ?year=' });
+    return res.status(400).json({ error: 'Invalid ?year=' });
+  }
+
+  const params = [year];
+  const level = reportLevel(req.query, 's', params);
+  if (level.error) {
+    return res.status(400).json({ error: level.error });
   }
 
   const sql = `
     SELECT
-      h.census_year,
-      pr.province_code,
-      pr.name_vi AS province_name,
-      COUNT(*) AS household_count,
-      COUNT(*) FILTER (WHERE h.has_internet) AS households_with_internet,
+      s.census_year,
+      ${level.columns},
+      SUM(s.household_count) AS household_count,
+      SUM(s.households_with_internet) AS households_with_internet,
       ROUND(
-        100.0 * COUNT(*) FILTER (WHERE h.has_internet) / NULLIF(COUNT(*), 0),
+        100.0 * SUM(s.households_with_internet) / NULLIF(SUM(s.household_count), 0),
         2
       ) AS internet_rate_pct
-    FROM households h
-    JOIN provinces pr ON pr.province_code = h.province_code
-    WHERE h.census_year = $1
-    GROUP BY h.census_year, pr.province_code, pr.name_vi
-    ORDER BY pr.province_code;
+    FROM stats_household_counts s
+    ${level.joins}
+    WHERE s.census_year = $1
+      ${aggregateQcFilter(req.query)}
+      ${level.where}
+    GROUP BY s.census_year, ${level.groupBy}
+    ORDER BY ${level.orderBy};
   `;
 
   try {
-    const { rows } = await pool.query(sql, [year]);
-    res.json(rows);
+    await respond(req, res, {
+      report: 'internet-access',
+      sql,
+      params,
+      year,
+      province: level.province,
+      filters: level.metadata,
+      aggregated: true,
+    });
   } catch (err) {
     console.error('internet-access error', err);
     res.status(500).json({ error: 'Failed to load internet access data' });
@@ -235,49 +254,56 @@ router.get('/internet-access', requireAuth, async (req, res) => {
 
 /**
  * 5. Urban vs rural breakdown
- * GET /api/reports/urban-rural?year=2024&province=01
+ * GET /api/reports/urban-rural?year=2024&province=01&level=district
  * uses query #7
  */
 router.get('/urban-rural', requireAuth, async (req, res) => {
-  const year = parseYear(req.query.year);
-  const province = req.query.province || null;
-
+  const year = await reportYear(req.query.year);
   if (!year) {
-    return res.status(400).json({ error: 'Missing or invalid ?year=' });
+    return res.status(400).json({ error: 'Invalid ?year=' });
   }
 
   const params = [year];
-  let provinceFilter = '';
-
-  if (province) {
-    params.push(province);
-    provinceFilter = 'AND pr.province_code = $2';
+  const level = reportLevel(req.query, 's', params);
+  if (level.error) {
+    return res.status(400).json({ error: level.error });
   }
 
+  // Household and person counts side by side, one row per area type
   const sql = `
     SELECT
-      h.census_year,
-      pr.province_code,
-      pr.name_vi AS province_name,
-      CASE WHEN h.is_urban THEN 'Đô thị' ELSE 'Nông thôn' END AS area_type,
-      COUNT(DISTINCT h.id) AS household_count,
-      COUNT(p.id) AS population
-    FROM households h
-    LEFT JOIN persons p ON p.household_id = h.id
-    JOIN provinces pr ON pr.province_code = h.province_code
-    WHERE h.census_year = $1
-      ${provinceFilter}
-    GROUP BY
-      h.census_year,
-      pr.province_code,
-      pr.name_vi,
-      CASE WHEN h.is_urban THEN 'Đô thị' ELSE 'Nông thôn' END
-    ORDER BY pr.province_code, area_type;
+      s.census_year,
+      ${level.columns},
+      s.area_type,
+      SUM(s.household_count) AS household_count,
+      SUM(s.population) AS population
+    FROM (
+      SELECT census_year, province_code, district_id, ward_id, area_type, qc_rejected,
+             household_count, 0 AS population
+      FROM stats_household_counts
+      UNION ALL
+      SELECT census_year, province_code, district_id, ward_id, area_type, qc_rejected,
+             0, population
+      FROM stats_person_counts
+    ) s
+    ${level.joins}
+    WHERE s.census_year = $1
+      ${aggregateQcFilter(req.query)}
+      ${level.where}
+    GROUP BY s.census_year, ${level.groupBy}, s.area_type
+    ORDER BY ${level.orderBy}, s.area_type;
   `;
 
   try {
-    const { rows } = await pool.query(sql, params);
-    res.json(rows);
+    await respond(req, res, {
+      report: 'urban-rural',
+      sql,
+      params,
+      year,
+      province: level.province,
+      filters: level.metadata,
+      aggregated: true,
+    });
   } catch (err) {
     console.error('urban-rural error', err);
     res.status(500).json({ error: 'Failed to load urban/rural data' });
@@ -285,123 +311,318 @@ router.get('/urban-rural', requireAuth, async (req, res) => {
 });
 
 /**
- * 6. Population trend (all VN, or per province)
+ * 6. Population trend (all VN, or per province / district / ward)
  * GET /api/reports/population-trend
  *      ?province=01   (optional)
+ *      &level=district&district=12   (optional)
  * uses queries #8 and #8b
  */
 router.get('/population-trend', requireAuth, async (req, res) => {
-  const province = req.query.province || null;
+  const { province, district, level: requestedLevel } = req.query;
 
-  if (!province) {
+  if (!province && !district && !requestedLevel) {
     // All Vietnam: query #8
     const sql = `
       SELECT
-        census_year,
-        COUNT(*) AS population
-      FROM persons
-      GROUP BY census_year
-      ORDER BY census_year;
+        s.census_year,
+        SUM(s.population) AS population
+      FROM stats_person_counts s
+      WHERE TRUE
+        ${aggregateQcFilter(req.query)}
+      GROUP BY s.census_year
+      ORDER BY s.census_year;
     `;
 
     try {
-      const { rows } = await pool.query(sql);
-      res.json(rows);
+      await respond(req, res, { report: 'population-trend', sql, aggregated: true });
     } catch (err) {
       console.error('population-trend (VN) error', err);
       res.status(500).json({ error: 'Failed to load population trend' });
     }
   } else {
-    // Per province: query #8b with filter
+    // Per administrative unit: query #8b with filter
+    const params = [];
+    const level = reportLevel(req.query, 's', params);
+    if (level.error) {
+      return res.status(400).json({ error: level.error });
+    }
+
     const sql = `
       SELECT
-        h.census_year,
-        pr.province_code,
-        pr.name_vi AS province_name,
-        COUNT(p.id) AS population
-      FROM persons p
-      JOIN households h ON h.id = p.household_id
-      JOIN provinces pr ON pr.province_code = h.province_code
-      WHERE pr.province_code = $1
-      GROUP BY h.census_year, pr.province_code, pr.name_vi
-      ORDER BY h.census_year;
+        s.census_year,
+        ${level.columns},
+        SUM(s.population) AS population
+      FROM stats_person_counts s
+      ${level.joins}
+      WHERE TRUE
+        ${aggregateQcFilter(req.query)}
+        ${level.where}
+      GROUP BY s.census_year, ${level.groupBy}
+      ORDER BY ${level.orderBy}, s.census_year;
     `;
 
     try {
-      const { rows } = await pool.query(sql, [province]);
-      res.json(rows);
+      await respond(req, res, {
+        report: 'population-trend',
+        sql,
+        params,
+        province: level.province,
+        filters: level.metadata,
+        aggregated: true,
+      });
     } catch (err) {
-      console.error('population-trend (province) error', err);
+      console.error('population-trend (unit) error', err);
       res.status(500).json({ error: 'Failed to load population trend' });
     }
   }
 });
 
 /**
- * Internet usage trend (all VN, or per province)
+ * Internet usage trend (all VN, or per province / district / ward)
  *
  * GET /api/reports/internet-trend
+ *      ?province=01&level=district   (optional)
  */
 router.get('/internet-trend', requireAuth, async (req, res) => {
-  const province = req.query.province || null;
+  const { province, district, level: requestedLevel } = req.query;
 
-  if (!province) {
+  if (!province && !district && !requestedLevel) {
     // All Vietnam: group by census_year
     const sql = `
       SELECT
-        h.census_year,
-        COUNT(*) AS household_count,
-        COUNT(*) FILTER (WHERE h.has_internet = TRUE) AS households_with_internet,
+        s.census_year,
+        SUM(s.household_count) AS household_count,
+        SUM(s.households_with_internet) AS households_with_internet,
         CASE
-          WHEN COUNT(*) = 0 THEN 0
+          WHEN SUM(s.household_count) = 0 THEN 0
           ELSE ROUND(
-            100.0 * COUNT(*) FILTER (WHERE h.has_internet = TRUE) / COUNT(*),
+            100.0 * SUM(s.households_with_internet) / SUM(s.household_count),
             2
           )
         END AS internet_rate_pct
-      FROM households h
-      GROUP BY h.census_year
-      ORDER BY h.census_year;
+      FROM stats_household_counts s
+      WHERE TRUE
+        ${aggregateQcFilter(req.query)}
+      GROUP BY s.census_year
+      ORDER BY s.census_year;
     `;
 
     try {
-      const { rows } = await pool.query(sql);
-      res.json(rows);
+      await respond(req, res, { report: 'internet-trend', sql, aggregated: true });
     } catch (err) {
       console.error('internet-trend (VN) error', err);
       res.status(500).json({ error: 'Failed to load internet trend' });
     }
   } else {
-    // Per province: group by census_year + province
+    // Per administrative unit: group by census_year + unit
+    const params = [];
+    const level = reportLevel(req.query, 's', params);
+    if (level.error) {
+      return res.status(400).json({ error: level.error });
+    }
+
     const sql = `
       SELECT
-        h.census_year,
-        pr.province_code,
-        pr.name_vi AS province_name,
-        COUNT(*) AS household_count,
-        COUNT(*) FILTER (WHERE h.has_internet = TRUE) AS households_with_internet,
+        s.census_year,
+        ${level.columns},
+        SUM(s.household_count) AS household_count,
+        SUM(s.households_with_internet) AS households_with_internet,
         CASE
-          WHEN COUNT(*) = 0 THEN 0
+          WHEN SUM(s.household_count) = 0 THEN 0
           ELSE ROUND(
-            100.0 * COUNT(*) FILTER (WHERE h.has_internet = TRUE) / COUNT(*),
+            100.0 * SUM(s.households_with_internet) / SUM(s.household_count),
             2
           )
         END AS internet_rate_pct
-      FROM households h
-      JOIN provinces pr ON pr.province_code = h.province_code
-      WHERE pr.province_code = $1
-      GROUP BY h.census_year, pr.province_code, pr.name_vi
-      ORDER BY h.census_year;
+      FROM stats_household_counts s
+      ${level.joins}
+      WHERE TRUE
+        ${aggregateQcFilter(req.query)}
+        ${level.where}
+      GROUP BY s.census_year, ${level.groupBy}
+      ORDER BY ${level.orderBy}, s.census_year;
     `;
 
     try {
-      const { rows } = await pool.query(sql, [province]);
-      res.json(rows);
+      await respond(req, res, {
+        report: 'internet-trend',
+        sql,
+        params,
+        province: level.province,
+        filters: level.metadata,
+        aggregated: true,
+      });
     } catch (err) {
-      console.error('internet-trend (province) error', err);
+      console.error('internet-trend (unit) error', err);
       res.status(500).json({ error: 'Failed to load internet trend' });
     }
   }
 });
 
+/**
+ * 7. Answers to a questionnaire question without a dedicated column
+ *    (stored in extra_answers), by province / district / ward
+ * GET /api/reports/extra-answers?year=2024&question=hasSolarPanel&province=01&level=district
+ *
+ * Numeric questions return count / average / min / max, all others the
+ * number of households or persons per answer (each choice of a
+ * multi_choice answer counted once).
+ */
+router.get('/extra-answers', requireAuth, async (req, res) => {
+  const year = await reportYear(req.query.year);
+  if (!year) {
+    return res.status(400).json({ error: 'Invalid ?year=' });
+  }
+
+  try {
+    const questionnaire = await loadQuestionnaire(pool, year);
+    const found = findExtensionQuestion(questionnaire, req.query.question);
+    if (!found) {
+      return res.status(400).json({ error: 'Unknown ?question= for this census year' });
+    }
+    const { scope, question } = found;
+
+    const params = [year, question.key];
+    const level = reportLevel(req.query, 'h', params);
+    if (level.error) {
+      return res.status(400).json({ error: level.error });
+    }
+
+    const source = scope === 'household'
+      ? 'households h'
+      : 'persons p JOIN households h ON h.id = p.household_id';
+    const answers = scope === 'household' ? 'h.extra_answers' : 'p.extra_answers';
+    const numeric = ['integer', 'number'].includes(question.answerType);
+
+    const sql = numeric
+      ? `
+        SELECT
+          h.census_year,
+          ${level.columns},
+          COUNT(*) AS answer_count,
+          ROUND(AVG((${answers} ->> $2)::numeric), 2) AS average,
+          MIN((${answers} ->> $2)::numeric) AS min,
+          MAX((${answers} ->> $2)::numeric) AS max
+        FROM ${source}
+        ${level.joins}
+        WHERE h.census_year = $1
+          AND ${answers} ? $2
+          ${qcFilter(req.query)}
+          ${level.where}
+        GROUP BY h.census_year, ${level.groupBy}
+        ORDER BY ${level.orderBy};
+      `
+      : `
+        SELECT
+          h.census_year,
+          ${level.columns},
+          a.answer,
+          COUNT(*) AS answer_count
+        FROM ${source}
+        ${level.joins}
+        CROSS JOIN LATERAL jsonb_array_elements_text(
+          CASE
+            WHEN jsonb_typeof(${answers} -> $2) = 'array' THEN ${answers} -> $2
+            ELSE jsonb_build_array(${answers} -> $2)
+          END
+        ) AS a(answer)
+        WHERE h.census_year = $1
+          AND ${answers} ? $2
+          ${qcFilter(req.query)}
+          ${level.where}
+        GROUP BY h.census_year, ${level.groupBy}, a.answer
+        ORDER BY ${level.orderBy}, a.answer;
+      `;
+
+    const labels = new Map((question.options || []).map((o) => [String(o.code), o.label]));
+
+    await respond(req, res, {
+      report: `extra-answers-${question.key}`,
+      sql,
+      params,
+      year,
+      province: level.province,
+      filters: { 'Câu hỏi': question.label, ...level.metadata },
+      mapRow: numeric ? undefined : (r) => ({ ...r, answer_label: labels.get(r.answer) || r.answer }),
+      wrap: (rows) => ({
+        question: { key: question.key, label: question.label, scope, answerType: question.answerType },
+        rows,
+      }),
+    });
+  } catch (err) {
+    console.error('extra-answers error', err);
+    res.status(500).json({ error: 'Failed to load questionnaire answers' });
+  }
+});
+
+/**
+ * 8. Generic statistics query
+ * GET /api/reports/stats?dimensions=province,sex&measures=persons,has_internet_rate&year=2024&area=urban
+ *
+ * Dimensions, measures and filters are names from services/statsQuery.js;
+ * GET /api/reports/stats/schema lists them.
+ */
+router.get('/stats/schema', requireAuth, (_req, res) => {
+  res.json({
+    dimensions: Object.keys(DIMENSIONS),
+    measures: Object.keys(MEASURES),
+  });
+});
+
+router.get('/stats', requireAuth, async (req, res) => {
+  try {
+    const defaultYear = await getDefaultCensusYear(pool);
+    const query = buildStatsQuery(req.query, {
+      defaultYear,
+      extraWhere: qcFilter(req.query),
+    });
+    if (query.error) {
+      return res.status(400).json({ error: query.error });
+    }
+
+    await respond(req, res, {
+      report: 'stats',
+      sql: query.sql,
+      params: query.params,
+      year: query.filters.year ? query.filters.year.join(', ') : null,
+      province: query.filters.province ? query.filters.province.join(', ') : null,
+      filters: { 'Chiều phân tổ': query.dimensions.join(', '), 'Chỉ tiêu': query.measures.join(', ') },
+      mapRow: (row) => formatStatsRow(row, query),
+      wrap: (rows) => ({
+        dimensions: query.dimensions,
+        measures: query.measures,
+        filters: query.filters,
+        rows,
+      }),
+    });
+  } catch (err) {
+    console.error('stats error', err);
+    res.status(500).json({ error: 'Failed to run statistics query' });
+  }
+});
+
+/**
+ * 9. Pre-aggregated statistics (admin)
+ * GET  /api/reports/aggregates/status    freshness and pending slices
+ * POST /api/reports/aggregates/rebuild   recompute everything now
+ */
+router.get('/aggregates/status', requireAuth, requireRole('admin'), async (_req, res) => {
+  try {
+    res.json(await getStatsStatus(pool));
+  } catch (err) {
+    console.error('aggregates status error', err);
+    res.status(500).json({ error: 'Failed to load aggregate status' });
+  }
+});
+
+router.post('/aggregates/rebuild', requireAuth, requireRole('admin'), async (_req, res) => {
+  try {
+    await rebuildStats(pool);
+    res.json(await getStatsStatus(pool));
+  } catch (err) {
+    console.error('aggregates rebuild error', err);
+    res.status(500).json({ error: 'Failed to rebuild aggregates' });
+  }
+});
+
 module.exports = router;
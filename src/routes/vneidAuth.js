@@ -1,6 +1,8 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { findCitizenIdsByNumber } = require('../services/citizenLinking');
+const { decryptPersonRow } = require('../services/fieldCrypto');
 const router = express.Router();
 
 // ⬇️ Reuse your existing pg pool / db helper
@@ -40,17 +42,17 @@ router.post('/login', async (req, res) => {
   }
 
   try {
-    // 1. Find citizen_ids row
-    const citizenResult = await pool.query(
-      'SELECT id, citizen_number FROM citizen_ids WHERE citizen_number = $1',
-      [citizenNumber]
-    );
+    // 1. Find citizen_ids row (citizen_number is encrypted, match on its hash)
+    const citizenIds = await findCitizenIdsByNumber(pool, [String(citizenNumber).trim()]);
 
-    if (citizenResult.rowCount === 0) {
+    if (citizenIds.size === 0) {
       return res.status(401).json({ error: 'Tài khoản không tồn tại hoặc CCCD không đúng.' });
     }
 
-    const citizen = citizenResult.rows[0];
+    const citizen = {
+      id: citizenIds.values().next().value,
+      citizen_number: String(citizenNumber).trim(),
+    };
 
     // 2. Find mock VNeID account
     const accountResult = await pool.query(
@@ -94,7 +96,7 @@ router.post('/login', async (req, res) => {
       [citizen.id]
     );
 
-    const profile = profileResult.rows[0] || null;
+    const profile = decryptPersonRow(profileResult.rows[0]) || null;
 
     // 5. Create JWT
     const token = createToken({
@@ -169,7 +171,7 @@ router.get('/me', authCitizen, async (req, res) => {
       [citizenIdId]
     );
 
-    const profile = profileResult.rows[0] || null;
+    const profile = decryptPersonRow(profileResult.rows[0]) || null;
 
     return res.json({
       citizenNumber,
@@ -182,3 +184,5 @@ router.get('/me', authCitizen, async (req, res) => {
 });
 
 module.exports = router;
+// Shared with other citizen-facing routers
+module.exports.authCitizen = authCitizen;
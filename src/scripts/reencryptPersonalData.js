@@ -0,0 +1,131 @@
+// src/scripts/reencryptPersonalData.js
+// Encrypts plain text personal data left from before field encryption and
+// re-encrypts values written with an older key (key rotation). Safe to run
+// repeatedly; rows already on the current key are skipped.
+//
+//   npm run reencrypt
+const { pool } = require('../db');
+const {
+  PERSON_ENCRYPTED_COLUMNS,
+  DRAFT_MEMBER_ENCRYPTED_FIELDS,
+  encryptField,
+  decryptField,
+  needsReencryption,
+  citizenNumberHash,
+  encryptDraftMembers,
+} = require('../services/fieldCrypto');
+const { sealRevision } = require('../services/censusSubmission');
+
+const BATCH_SIZE = 500;
+
+function reencrypt(value) {
+  return needsReencryption(value) ? encryptField(decryptField(value)) : value;
+}
+
+// Walk a table by id in batches, calling handle(row) for each row
+async function eachRow(table, columns, handle) {
+  let lastId = 0;
+  let updated = 0;
+
+  for (;;) {
+    const { rows } = await pool.query(
+      `SELECT id, ${columns.join(', ')} FROM ${table} WHERE id > $1 ORDER BY id LIMIT $2`,
+      [lastId, BATCH_SIZE]
+    );
+    if (rows.length === 0) return updated;
+
+    for (const row of rows) {
+      if (await handle(row)) updated++;
+    }
+    lastId = rows[rows.length - 1].id;
+  }
+}
+
+async function reencryptPersons() {
+  return eachRow('persons', [...PERSON_ENCRYPTED_COLUMNS, 'birth_year'], async (row) => {
+    const stale = PERSON_ENCRYPTED_COLUMNS.some((col) => needsReencryption(row[col]));
+    const dateOfBirth = decryptField(row.date_of_birth);
+    // Without a date of birth there is no birth_year to fill in
+    const missingBirthYear = row.birth_year === null && Boolean(dateOfBirth);
+    if (!stale && !missingBirthYear) return false;
+
+    await pool.query(
+      'UPDATE persons SET full_name = $2, date_of_birth = $3, birth_year = $4 WHERE id = $1',
+      [
+        row.id,
+        reencrypt(row.full_name),
+        reencrypt(row.date_of_birth),
+        dateOfBirth ? Number(String(dateOfBirth).slice(0, 4)) : null,
+      ]
+    );
+    return true;
+  });
+}
+
+async function reencryptCitizenIds() {
+  return eachRow('citizen_ids', ['citizen_number', 'citizen_number_hash'], async (row) => {
+    if (!needsReencryption(row.citizen_number) && row.citizen_number_hash) return false;
+
+    const number = decryptField(row.citizen_number);
+    await pool.query(
+      'UPDATE citizen_ids SET citizen_number = $2, citizen_number_hash = $3 WHERE id = $1',
+      [row.id, reencrypt(row.citizen_number), citizenNumberHash(number)]
+    );
+    return true;
+  });
+}
+
+// Personal values in a revision's changes (the ones sealRevision() encrypts)
+function personalChangeValues(changes) {
+  return changes
+    .filter((c) => c.scope === 'member' && (c.action || PERSON_ENCRYPTED_COLUMNS.includes(c.field)))
+    .flatMap((c) => [c.from, c.to]);
+}
+
+async function reencryptRevisions() {
+  return eachRow('household_revisions', ['previous_snapshot', 'changes'], async (row) => {
+    const snapshotValues = (row.previous_snapshot.members || []).flatMap((m) =>
+      PERSON_ENCRYPTED_COLUMNS.map((col) => m[col])
+    );
+    const stale = [...snapshotValues, ...personalChangeValues(row.changes)].some(needsReencryption);
+    if (!stale) return false;
+
+    // sealRevision() decrypts before encrypting, so it accepts plain text,
+    // old-key and current-key values alike
+    const revision = sealRevision(row.previous_snapshot, row.changes);
+    await pool.query(
+      'UPDATE household_revisions SET previous_snapshot = $2, changes = $3 WHERE id = $1',
+      [row.id, JSON.stringify(revision.previousSnapshot), JSON.stringify(revision.changes)]
+    );
+    return true;
+  });
+}
+
+async function reencryptDrafts() {
+  return eachRow('census_drafts', ['members'], async (row) => {
+    const values = (Array.isArray(row.members) ? row.members : []).flatMap((m) =>
+      m && typeof m === 'object' ? DRAFT_MEMBER_ENCRYPTED_FIELDS.map((f) => m[f]) : []
+    );
+    if (!values.some(needsReencryption)) return false;
+
+    await pool.query(
+      'UPDATE census_drafts SET members = $2 WHERE id = $1',
+      [row.id, JSON.stringify(encryptDraftMembers(row.members))]
+    );
+    return true;
+  });
+}
+
+async function main() {
+  console.log('persons updated:', await reencryptPersons());
+  console.log('citizen_ids updated:', await reencryptCitizenIds());
+  console.log('household_revisions updated:', await reencryptRevisions());
+  console.log('census_drafts updated:', await reencryptDrafts());
+}
+
+main()
+  .catch((err) => {
+    console.error('reencrypt failed', err);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,124 @@
+// src/services/campaigns.js
+// Census campaigns: one row per census year with its collection window.
+// The active campaign is the default census year everywhere.
+
+const CAMPAIGN_STATUSES = ['planned', 'active', 'closed'];
+
+// Dates are read as YYYY-MM-DD text: pg would turn DATE into a
+// local-midnight Date, which can shift the day when serialised.
+const CAMPAIGN_COLUMNS = `
+  census_year,
+  to_char(start_date, 'YYYY-MM-DD') AS start_date,
+  to_char(end_date, 'YYYY-MM-DD') AS end_date,
+  to_char(reference_date, 'YYYY-MM-DD') AS reference_date,
+  status`;
+
+// YYYY-MM-DD -> d/m/yyyy
+function formatDate(d) {
+  const [year, month, day] = String(d).split('-').map(Number);
+  return `${day}/${month}/${year}`;
+}
+
+function mapCampaign(row) {
+  if (!row) return null;
+  return {
+    censusYear: row.census_year,
+    startDate: row.start_date,
+    endDate: row.end_date,
+    referenceDate: row.reference_date,
+    status: row.status,
+  };
+}
+
+async function getActiveCampaign(db) {
+  const { rows } = await db.query(
+    `SELECT ${CAMPAIGN_COLUMNS} FROM census_campaigns WHERE status = 'active' LIMIT 1`
+  );
+  return rows[0] || null;
+}
+
+async function getCampaign(db, year) {
+  const { rows } = await db.query(
+    `SELECT ${CAMPAIGN_COLUMNS} FROM census_campaigns WHERE census_year = $1`,
+    [year]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Census year to use when the caller did not send one: the active
+ * campaign, else the most recent campaign, else the calendar year.
+ */
+async function getDefaultCensusYear(db) {
+  const { rows } = await db.query(`
+    SELECT census_year
+    FROM census_campaigns
+    ORDER BY (status = 'active') DESC, census_year DESC
+    LIMIT 1
+  `);
+  return rows[0] ? Number(rows[0].census_year) : new Date().getFullYear();
+}
+
+/**
+ * requested year if valid, otherwise getDefaultCensusYear().
+ */
+async function resolveCensusYear(db, requested) {
+  const y = parseInt(requested, 10);
+  return Number.isNaN(y) ? getDefaultCensusYear(db) : y;
+}
+
+/**
+ * Whether households can be submitted / changed for this census year.
+ * Returns { open, message, campaign }.
+ */
+async function checkCollectionWindow(db, year) {
+  const row = await getCampaign(db, year);
+  const campaign = mapCampaign(row);
+
+  if (!row) {
+    return { open: false, campaign, message: `Không có kỳ điều tra năm ${year}.` };
+  }
+  if (row.status === 'closed') {
+    return {
+      open: false,
+      campaign,
+      message: `Kỳ điều tra năm ${year} đã kết thúc ngày ${formatDate(row.end_date)}.`,
+    };
+  }
+  if (row.status !== 'active') {
+    return { open: false, campaign, message: `Kỳ điều tra năm ${year} chưa được mở.` };
+  }
+
+  const { rows } = await db.query(
+    'SELECT CURRENT_DATE < $1::date AS before_start, CURRENT_DATE > $2::date AS after_end',
+    [row.start_date, row.end_date]
+  );
+
+  if (rows[0].before_start) {
+    return {
+      open: false,
+      campaign,
+      message: `Kỳ điều tra năm ${year} bắt đầu từ ngày ${formatDate(row.start_date)}.`,
+    };
+  }
+  if (rows[0].after_end) {
+    return {
+      open: false,
+      campaign,
+      message: `Kỳ điều tra năm ${year} đã kết thúc ngày ${formatDate(row.end_date)}.`,
+    };
+  }
+
+  return { open: true, campaign, message: null };
+}
+
+module.exports = {
+  CAMPAIGN_STATUSES,
+  CAMPAIGN_COLUMNS,
+  mapCampaign,
+  getActiveCampaign,
+  getCampaign,
+  getDefaultCensusYear,
+  resolveCensusYear,
+  checkCollectionWindow,
+};
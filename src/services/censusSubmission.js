@@ -0,0 +1,646 @@
+// src/services/censusSubmission.js
+// Shared write logic for households + persons, used by every write path
+// (direct submit, draft promotion, amendments, ...). All functions take a pg client so
+// the caller owns the transaction.
+
+const { resolveMemberCitizenIds, detectDuplicates } = require('./citizenLinking');
+const { validateSubmission } = require('../validation/censusValidator');
+const { allocateHouseholdCode } = require('./householdCode');
+const { checkAdministrativeUnits } = require('./geography');
+const { issueReceipt } = require('./receipts');
+const { runQualityControl } = require('./qualityControl');
+const { loadQuestionnaire, validateExtraAnswers } = require('./questionnaire');
+const {
+  PERSON_ENCRYPTED_COLUMNS,
+  encryptField,
+  decryptField,
+  decryptPersonRow,
+  encryptPersonRow,
+  submitterHash,
+} = require('./fieldCrypto');
+
+// Helper: convert "yes"/"no"/null -> boolean
+function yesNoToBool(val) {
+  if (val === 'yes') return true;
+  if (val === 'no') return false;
+  return null;
+}
+
+// Date of birth as YYYY-MM-DD (stored encrypted) and its year (stored in
+// clear for age-based reports)
+function dateOfBirthParts(value) {
+  if (!value) return { dateOfBirth: null, birthYear: null };
+  const m = String(value).match(/^(\d{4})-\d{2}-\d{2}/);
+  if (m) return { dateOfBirth: m[0], birthYear: Number(m[1]) };
+  return { dateOfBirth: String(value), birthYear: new Date(value).getFullYear() };
+}
+
+/**
+ * Returns the existing submission (person row of the head) for this
+ * citizen and census year, or null. Being listed as a non-head member of
+ * another household does not count as having submitted.
+ */
+async function findSubmission(client, citizenIdId, year) {
+  const { rows } = await client.query(
+    `
+    SELECT p.id, p.household_id
+    FROM persons p
+    WHERE p.citizen_id_id = $1
+      AND p.census_year = $2
+      AND p.is_head
+    LIMIT 1
+    `,
+    [citizenIdId, year]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Whether this citizen already submitted for the census year, including
+ * a submission that has since been anonymised on their request.
+ */
+async function hasSubmitted(client, citizenIdId, year) {
+  if (await findSubmission(client, citizenIdId, year)) return true;
+
+  const { rowCount } = await client.query(
+    'SELECT 1 FROM anonymised_submitters WHERE census_year = $1 AND submitter_hash = $2',
+    [year, submitterHash(citizenIdId, year)]
+  );
+  return rowCount > 0;
+}
+
+/**
+ * Validate a submission, check its province/district/ward against the
+ * administrative tables, validate extension answers against the year's
+ * questionnaire and resolve members' CCCD numbers.
+ * Returns { errors, resolved }; only insert when errors is empty, passing
+ * resolved ({ memberCitizenIds, householdExtra, memberExtras }) on.
+ */
+async function prepareSubmission(db, { household, members, year }) {
+  const errors = validateSubmission({ household, members, year });
+  if (errors.length > 0) {
+    return { errors, resolved: null };
+  }
+
+  const geoErrors = await checkAdministrativeUnits(db, household);
+  const questionnaire = await loadQuestionnaire(db, year);
+  const { errors: extraErrors, householdExtra, memberExtras } = validateExtraAnswers(
+    questionnaire,
+    { household, members }
+  );
+  const { citizenIds, errors: linkErrors } = await resolveMemberCitizenIds(db, members);
+
+  return {
+    errors: [...geoErrors, ...extraErrors, ...linkErrors],
+    resolved: { memberCitizenIds: citizenIds, householdExtra, memberExtras },
+  };
+}
+
+/**
+ * Column values for households, in the order used by INSERT and UPDATE
+ * (province_code .. has_motorcycle).
+ */
+function householdValues(household) {
+  return [
+    household.provinceCode || null,
+    household.districtId || null,
+    household.wardId || null,
+    household.addressDetail || null,
+    household.isUrban,
+    household.housingOwnership || null,
+    household.housingType || null,
+    household.mainWallMaterial || null,
+    household.mainRoofMaterial || null,
+    household.mainFloorMaterial || null,
+    household.floorAreaM2 ? Number(household.floorAreaM2) : null,
+    household.numRooms ? parseInt(household.numRooms, 10) : null,
+    household.drinkingWaterSource || null,
+    household.otherWaterSource || null,
+    household.toiletType || null,
+    household.garbageDisposal || null,
+    household.lightingSource || null,
+    household.cookingFuel || null,
+    yesNoToBool(household.hasElectricity),
+    yesNoToBool(household.hasInternet),
+    yesNoToBool(household.hasTv),
+    yesNoToBool(household.hasFridge),
+    yesNoToBool(household.hasWashingMachine),
+    yesNoToBool(household.hasComputer),
+    yesNoToBool(household.hasCar),
+    yesNoToBool(household.hasMotorcycle),
+  ];
+}
+
+/**
+ * Insert one household row. extraAnswers holds the validated answers to
+ * questions without a dedicated column. Returns the new household id.
+ */
+async function insertHousehold(
+  client,
+  { householdCode, household, year, capturedByUserId = null, extraAnswers = {} }
+) {
+  const insertHouseholdQuery = `
+    INSERT INTO households (
+      household_code,
+      province_code,
+      district_id,
+      ward_id,
+      address_detail,
+      is_urban,
+      housing_ownership, housing_type,
+      main_wall_material, main_roof_material, main_floor_material,
+      floor_area_m2, num_rooms,
+      drinking_water_source, other_water_source,
+      toilet_type, garbage_disposal,
+      lighting_source, cooking_fuel,
+      has_electricity, has_internet, has_tv, has_fridge, has_washing_machine,
+      has_computer, has_car, has_motorcycle,
+      census_year,
+      captured_by_user_id,
+      extra_answers
+    ) VALUES (
+      $1,$2,$3,$4,$5,$6,
+      $7,$8,$9,$10,$11,
+      $12,$13,$14,$15,$16,$17,
+      $18,$19,
+      $20,$21,$22,$23,$24,$25,$26,$27,
+      $28,
+      $29,
+      $30
+    )
+    RETURNING id;
+  `;
+
+  const hhValues = [
+    householdCode,
+    ...householdValues(household),
+    year,
+    capturedByUserId,
+    JSON.stringify(extraAnswers),
+  ];
+
+  const hhRes = await client.query(insertHouseholdQuery, hhValues);
+  return hhRes.rows[0].id;
+}
+
+/**
+ * Person column values for one member, in the order used by INSERT and
+ * UPDATE (citizen_id_id .. birth_year). The member flagged isHead is
+ * linked to the submitting citizen's citizen_id_id; other members (and the
+ * head of a proxy submission) use memberCitizenIds, resolved from their
+ * CCCD. Name and date of birth are encrypted, birth_year is kept for
+ * reports.
+ */
+function memberValues(member, index, { citizenIdId, memberCitizenIds = [], memberExtras = [] }) {
+  const isHead = member.isHead === true;
+  const linkedCitizenId = isHead && citizenIdId ? citizenIdId : memberCitizenIds[index] ?? null;
+  const { dateOfBirth, birthYear } = dateOfBirthParts(member.dateOfBirth);
+
+  return [
+    linkedCitizenId,
+    encryptField(member.fullName || null),
+    member.sex || null,
+    encryptField(dateOfBirth),
+    member.relationshipToHead || null,
+    member.ethnicity || null,
+    member.religion || null,
+    member.maritalStatus || null,
+    member.everAttendedSchool !== null ? !!member.everAttendedSchool : null,
+    member.currentlyAttending !== null ? !!member.currentlyAttending : null,
+    member.highestEducationLevel || null,
+    member.literacy !== null ? !!member.literacy : null,
+    member.mainActivity || null,
+    member.employmentStatus || null,
+    member.occupation || null,
+    member.industry || null,
+    member.migrationStatus || null,
+    member.previousProvinceCode || null,
+    member.previousDistrictName || null,
+    member.hasDisability !== null ? !!member.hasDisability : null,
+    Array.isArray(member.disabilityType) && member.disabilityType.length
+      ? member.disabilityType
+      : null,
+    isHead,
+    JSON.stringify(memberExtras[index] || {}),
+    birthYear,
+  ];
+}
+
+/**
+ * Insert all members of a household (see memberValues()).
+ * memberExtras[i] are member i's extension answers.
+ * submissionDate lets amendments keep the original submission time
+ * (defaults to NOW()).
+ */
+async function insertMembers(
+  client,
+  householdId,
+  members,
+  { citizenIdId, year, submissionDate = null, memberCitizenIds = [], memberExtras = [] }
+) {
+  const insertPersonQuery = `
+    INSERT INTO persons (
+      household_id,
+      census_year,
+      submission_date,
+      citizen_id_id,
+      full_name, sex, date_of_birth,
+      relationship_to_head, ethnicity, religion,
+      marital_status,
+      ever_attended_school, currently_attending,
+      highest_education_level, literacy,
+      main_activity, employment_status, occupation, industry,
+      migration_status,
+      previous_province_code, previous_district_name,
+      has_disability, disability_type,
+      is_head,
+      extra_answers,
+      birth_year
+    ) VALUES (
+      $1,$2,
+      COALESCE($3, NOW()),
+      $4,$5,$6,$7,
+      $8,$9,$10,
+      $11,
+      $12,$13,$14,$15,
+      $16,$17,$18,$19,
+      $20,$21,$22,
+      $23,$24,
+      $25,
+      $26,
+      $27
+    ) RETURNING id;
+  `;
+
+  for (const [index, member] of members.entries()) {
+    const values = memberValues(member, index, { citizenIdId, memberCitizenIds, memberExtras });
+    await client.query(insertPersonQuery, [householdId, year, submissionDate, ...values]);
+  }
+
+  return members.length;
+}
+
+/**
+ * Overwrite a household's members in place so person ids (and the
+ * enumeration conflicts that reference them) survive amendments.
+ * Each member updates the stored row with its personId (as returned by
+ * the submission view), otherwise the row linked to the same citizen;
+ * other members are inserted and rows no longer used are deleted,
+ * together with their open conflicts.
+ * Returns the number of members written.
+ */
+async function updateMembers(client, householdId, members, options) {
+  const { rows: stored } = await client.query(
+    'SELECT id, citizen_id_id FROM persons WHERE household_id = $1 ORDER BY id',
+    [householdId]
+  );
+
+  const claim = (row) => {
+    if (!row) return null;
+    row.claimed = true;
+    return row.id;
+  };
+  const values = members.map((member, index) => memberValues(member, index, options));
+  const rowIds = members.map((member) => {
+    const personId = Number(member.personId);
+    if (!Number.isInteger(personId)) return null;
+    return claim(stored.find((r) => !r.claimed && r.id === personId));
+  });
+  for (const [index, [citizenId]] of values.entries()) {
+    if (rowIds[index] !== null || citizenId === null) continue;
+    rowIds[index] = claim(stored.find((r) => !r.claimed && r.citizen_id_id === citizenId));
+  }
+
+  const updatePersonQuery = `
+    UPDATE persons SET
+      citizen_id_id = $2,
+      full_name = $3, sex = $4, date_of_birth = $5,
+      relationship_to_head = $6, ethnicity = $7, religion = $8,
+      marital_status = $9,
+      ever_attended_school = $10, currently_attending = $11,
+      highest_education_level = $12, literacy = $13,
+      main_activity = $14, employment_status = $15, occupation = $16, industry = $17,
+      migration_status = $18,
+      previous_province_code = $19, previous_district_name = $20,
+      has_disability = $21, disability_type = $22,
+      is_head = $23,
+      extra_answers = $24,
+      birth_year = $25
+    WHERE id = $1
+  `;
+
+  const added = [];
+  for (const [index, id] of rowIds.entries()) {
+    if (id === null) {
+      added.push(index);
+    } else {
+      await client.query(updatePersonQuery, [id, ...values[index]]);
+    }
+  }
+
+  const removedIds = stored.filter((r) => !r.claimed).map((r) => r.id);
+  if (removedIds.length > 0) {
+    await client.query(
+      `
+      DELETE FROM enumeration_conflicts
+      WHERE status = 'open'
+        AND (existing_person_id = ANY($1) OR new_person_id = ANY($1))
+      `,
+      [removedIds]
+    );
+    await client.query('DELETE FROM persons WHERE id = ANY($1)', [removedIds]);
+  }
+
+  await insertMembers(
+    client,
+    householdId,
+    added.map((i) => members[i]),
+    {
+      ...options,
+      memberCitizenIds: added.map((i) => (options.memberCitizenIds || [])[i] ?? null),
+      memberExtras: added.map((i) => (options.memberExtras || [])[i]),
+    }
+  );
+
+  return members.length;
+}
+
+/**
+ * Insert a complete submission (household + members).
+ * resolved comes from prepareSubmission().
+ * capturedByUserId is set when an enumerator submits on the household's behalf.
+ * Members already enumerated elsewhere are queued as conflicts and QC
+ * flags are attached for staff review.
+ * Returns { householdId, householdCode, personsInserted, conflicts, qcFlags, receipt }.
+ */
+async function insertSubmission(
+  client,
+  { citizenIdId, year, household, members, capturedByUserId = null, resolved }
+) {
+  const householdCode = await allocateHouseholdCode(client, {
+    year,
+    provinceCode: household.provinceCode,
+    wardId: household.wardId,
+  });
+  const householdId = await insertHousehold(client, {
+    householdCode,
+    household,
+    year,
+    capturedByUserId,
+    extraAnswers: resolved.householdExtra,
+  });
+  const personsInserted = await insertMembers(client, householdId, members, {
+    citizenIdId,
+    year,
+    memberCitizenIds: resolved.memberCitizenIds,
+    memberExtras: resolved.memberExtras,
+  });
+  const conflicts = await detectDuplicates(client, householdId, year);
+  const qcFlags = await runQualityControl(client, await loadSubmission(client, householdId));
+  const receipt = await issueReceipt(client, {
+    householdId,
+    householdCode,
+    censusYear: year,
+    memberCount: personsInserted,
+  });
+
+  return { householdId, householdCode, personsInserted, conflicts, qcFlags, receipt };
+}
+
+/**
+ * Load the stored household row and its persons (ordered by id), with
+ * the persons' encrypted fields decrypted.
+ */
+async function loadSubmission(client, householdId) {
+  const hhRes = await client.query('SELECT * FROM households WHERE id = $1', [householdId]);
+  if (hhRes.rowCount === 0) return null;
+
+  const personsRes = await client.query(
+    'SELECT * FROM persons WHERE household_id = $1 ORDER BY id',
+    [householdId]
+  );
+
+  return { household: hhRes.rows[0], members: personsRes.rows.map(decryptPersonRow) };
+}
+
+/**
+ * Overwrite the household answers and its members (updateMembers()).
+ * household_code, census_year and the original submission date are kept;
+ * QC runs again (clearing any earlier review) and a new receipt, dated
+ * with the original submission and the amendment time, replaces the
+ * previous one.
+ * Returns { personsInserted, conflicts, qcFlags, receipt }.
+ */
+async function replaceSubmission(
+  client,
+  householdId,
+  { citizenIdId, year, household, members, submissionDate, resolved }
+) {
+  const hhRes = await client.query(
+    `
+    UPDATE households SET
+      province_code = $2,
+      district_id = $3,
+      ward_id = $4,
+      address_detail = $5,
+      is_urban = $6,
+      housing_ownership = $7, housing_type = $8,
+      main_wall_material = $9, main_roof_material = $10, main_floor_material = $11,
+      floor_area_m2 = $12, num_rooms = $13,
+      drinking_water_source = $14, other_water_source = $15,
+      toilet_type = $16, garbage_disposal = $17,
+      lighting_source = $18, cooking_fuel = $19,
+      has_electricity = $20, has_internet = $21, has_tv = $22, has_fridge = $23,
+      has_washing_machine = $24, has_computer = $25, has_car = $26,
+      has_motorcycle = $27,
+      extra_answers = $28,
+      version = version + 1,
+      updated_at = NOW()
+    WHERE id = $1
+    RETURNING household_code
+    `,
+    [householdId, ...householdValues(household), JSON.stringify(resolved.householdExtra)]
+  );
+
+  const personsInserted = await updateMembers(client, householdId, members, {
+    citizenIdId,
+    year,
+    submissionDate,
+    memberCitizenIds: resolved.memberCitizenIds,
+    memberExtras: resolved.memberExtras,
+  });
+  const conflicts = await detectDuplicates(client, householdId, year);
+  const qcFlags = await runQualityControl(client, await loadSubmission(client, householdId));
+  const receipt = await issueReceipt(client, {
+    householdId,
+    householdCode: hhRes.rows[0].household_code,
+    censusYear: year,
+    memberCount: personsInserted,
+    submittedAt: submissionDate,
+  });
+
+  return { personsInserted, conflicts, qcFlags, receipt };
+}
+
+/**
+ * Amend a stored household (replaceSubmission()) and record the state it
+ * replaced in household_revisions. Must run inside a transaction.
+ * citizenIdId: the citizen who submitted the household (links the head);
+ * changedBy: { citizenIdId } for the citizen's own amendment or
+ * { userId } for a staff correction.
+ * Returns { version, personsInserted, changes, receipt }.
+ */
+async function amendSubmission(
+  client,
+  householdId,
+  { citizenIdId, year, household, members, resolved, changedBy }
+) {
+  // Lock the household so concurrent amendments get sequential versions
+  await client.query('SELECT id FROM households WHERE id = $1 FOR UPDATE', [householdId]);
+
+  const before = await loadSubmission(client, householdId);
+  const submissionDate = before.members[0]?.submission_date || null;
+
+  const { personsInserted, receipt } = await replaceSubmission(client, householdId, {
+    citizenIdId,
+    year,
+    household,
+    members,
+    submissionDate,
+    resolved,
+  });
+
+  const after = await loadSubmission(client, householdId);
+  const changes = diffSubmissions(before, after);
+  const revision = sealRevision(before, changes);
+
+  await client.query(
+    `
+    INSERT INTO household_revisions (
+      household_id, version, changed_by_citizen_id_id, changed_by_user_id,
+      previous_snapshot, changes
+    ) VALUES ($1, $2, $3, $4, $5, $6)
+    `,
+    [
+      householdId,
+      after.household.version,
+      changedBy.citizenIdId ?? null,
+      changedBy.userId ?? null,
+      JSON.stringify(revision.previousSnapshot),
+      JSON.stringify(revision.changes),
+    ]
+  );
+
+  return { version: after.household.version, personsInserted, changes, receipt };
+}
+
+// Columns that are bookkeeping, not answers, and never show up in a diff
+const DIFF_IGNORED_COLUMNS = new Set([
+  'id',
+  'household_id',
+  'version',
+  'updated_at',
+  'submission_date',
+  'created_at',
+  'qc_status',
+  'qc_reviewed_by_user_id',
+  'qc_reviewed_at',
+  'qc_review_note',
+  'birth_year',
+]);
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function diffRow(before = {}, after = {}) {
+  const changes = [];
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  for (const key of keys) {
+    if (DIFF_IGNORED_COLUMNS.has(key)) continue;
+    if (!sameValue(before[key], after[key])) {
+      changes.push({ field: key, from: before[key] ?? null, to: after[key] ?? null });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Field-level diff between two loadSubmission() snapshots.
+ * Members are matched by person id (updateMembers() keeps it);
+ * added/removed members are reported as a whole. memberIndex is the
+ * member's position in `after`, or in `before` for removed members.
+ */
+function diffSubmissions(before, after) {
+  const changes = diffRow(before.household, after.household).map((c) => ({
+    scope: 'household',
+    ...c,
+  }));
+
+  const previous = new Map(before.members.map((m) => [m.id, m]));
+  for (const [i, next] of after.members.entries()) {
+    const prev = previous.get(next.id);
+    if (!prev) {
+      changes.push({ scope: 'member', memberIndex: i, action: 'added', to: next.full_name });
+      continue;
+    }
+    for (const c of diffRow(prev, next)) {
+      changes.push({ scope: 'member', memberIndex: i, ...c });
+    }
+  }
+
+  const kept = new Set(after.members.map((m) => m.id));
+  for (const [i, prev] of before.members.entries()) {
+    if (!kept.has(prev.id)) {
+      changes.push({ scope: 'member', memberIndex: i, action: 'removed', from: prev.full_name });
+    }
+  }
+
+  return changes;
+}
+
+function mapChangedValues(changes, fn) {
+  return changes.map((c) => {
+    if (c.scope !== 'member') return c;
+    // Added / removed members are reported by name
+    if (c.action === 'added') return { ...c, to: fn(c.to) };
+    if (c.action === 'removed') return { ...c, from: fn(c.from) };
+    if (!PERSON_ENCRYPTED_COLUMNS.includes(c.field)) return c;
+    return { ...c, from: fn(c.from), to: fn(c.to) };
+  });
+}
+
+/**
+ * Encrypt the personal fields of a revision before it is stored:
+ * { previousSnapshot, changes } from a loadSubmission() snapshot and
+ * diffSubmissions() changes.
+ */
+function sealRevision(before, changes) {
+  return {
+    previousSnapshot: { ...before, members: before.members.map(encryptPersonRow) },
+    changes: mapChangedValues(changes, (v) => encryptField(decryptField(v))),
+  };
+}
+
+/**
+ * Decrypt the stored changes of a revision.
+ */
+function openRevisionChanges(changes) {
+  return mapChangedValues(changes || [], decryptField);
+}
+
+module.exports = {
+  yesNoToBool,
+  findSubmission,
+  hasSubmitted,
+  prepareSubmission,
+  insertHousehold,
+  insertMembers,
+  insertSubmission,
+  loadSubmission,
+  replaceSubmission,
+  amendSubmission,
+  diffSubmissions,
+  sealRevision,
+  openRevisionChanges,
+};
@@ -0,0 +1,127 @@
+// src/services/citizenLinking.js
+// Link household members to citizen_ids via their CCCD number and detect
+// people enumerated in more than one household for the same census year.
+const { citizenNumberHash } = require('./fieldCrypto');
+
+/**
+ * citizen_ids.id for each CCCD number, as a Map number -> id.
+ * Matches on the blind index; rows not yet backfilled by the re-encryption
+ * script are still found by their plain text number.
+ */
+async function findCitizenIdsByNumber(db, numbers) {
+  const byNumber = new Map();
+  if (numbers.length === 0) return byNumber;
+
+  const hashes = numbers.map(citizenNumberHash);
+  const { rows } = await db.query(
+    `
+    SELECT id, citizen_number, citizen_number_hash
+    FROM citizen_ids
+    WHERE citizen_number_hash = ANY($1)
+       OR (citizen_number_hash IS NULL AND citizen_number = ANY($2))
+    `,
+    [hashes, numbers]
+  );
+
+  for (const r of rows) {
+    const index = r.citizen_number_hash
+      ? hashes.indexOf(r.citizen_number_hash)
+      : numbers.indexOf(r.citizen_number);
+    byNumber.set(numbers[index], r.id);
+  }
+  return byNumber;
+}
+
+/**
+ * Resolve member.citizenNumber against citizen_ids.
+ * Returns { citizenIds, errors }: citizenIds is aligned with members
+ * (null where no CCCD was given), errors use the validator's shape.
+ * Unknown numbers give a single error that names neither the member nor
+ * the number, so submissions cannot be used to probe which CCCDs exist.
+ */
+async function resolveMemberCitizenIds(db, members) {
+  const numbers = [
+    ...new Set(members.map((m) => m && m.citizenNumber).filter(Boolean)),
+  ];
+
+  const byNumber = await findCitizenIdsByNumber(db, numbers);
+
+  const citizenIds = members.map((m) =>
+    m && m.citizenNumber ? byNumber.get(m.citizenNumber) ?? null : null
+  );
+  const unresolved = members.some((m, i) => m && m.citizenNumber && citizenIds[i] === null);
+
+  const errors = unresolved
+    ? [{
+      scope: 'household',
+      field: 'members',
+      code: 'citizen_number_unverified',
+      message: 'Không thể xác minh số CCCD của thành viên. Vui lòng kiểm tra lại.',
+    }]
+    : [];
+
+  return { citizenIds, errors };
+}
+
+/**
+ * Queue a conflict for every linked member of this household who is
+ * already enumerated in another household for the same census year.
+ * Pairs already queued (in either direction, open or resolved) are not
+ * raised again; open conflicts of members whose CCCD link has changed
+ * since are dropped. Returns the conflicts created.
+ */
+async function detectDuplicates(client, householdId, year) {
+  await client.query(
+    `
+    DELETE FROM enumeration_conflicts c
+    USING persons p
+    WHERE c.status = 'open'
+      AND p.household_id = $1
+      AND p.id IN (c.existing_person_id, c.new_person_id)
+      AND p.citizen_id_id IS DISTINCT FROM c.citizen_id_id
+    `,
+    [householdId]
+  );
+
+  const { rows } = await client.query(
+    `
+    INSERT INTO enumeration_conflicts (
+      citizen_id_id, census_year, existing_person_id, new_person_id
+    )
+    SELECT
+      np.citizen_id_id,
+      np.census_year,
+      ep.id,
+      np.id
+    FROM persons np
+    JOIN persons ep
+      ON ep.citizen_id_id = np.citizen_id_id
+     AND ep.census_year = np.census_year
+     AND ep.household_id <> np.household_id
+    WHERE np.household_id = $1
+      AND np.census_year = $2
+      AND np.citizen_id_id IS NOT NULL
+      AND NOT EXISTS (
+        SELECT 1 FROM enumeration_conflicts c
+        WHERE (c.existing_person_id = ep.id AND c.new_person_id = np.id)
+           OR (c.existing_person_id = np.id AND c.new_person_id = ep.id)
+      )
+    ON CONFLICT (existing_person_id, new_person_id) DO NOTHING
+    RETURNING id, citizen_id_id, existing_person_id, new_person_id
+    `,
+    [householdId, year]
+  );
+
+  return rows.map((r) => ({
+    conflictId: r.id,
+    citizenIdId: r.citizen_id_id,
+    existingPersonId: r.existing_person_id,
+    newPersonId: r.new_person_id,
+  }));
+}
+
+module.exports = {
+  findCitizenIdsByNumber,
+  resolveMemberCitizenIds,
+  detectDuplicates,
+};
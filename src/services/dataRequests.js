@@ -0,0 +1,209 @@
+// src/services/dataRequests.js
+// Citizens' rights over their census data: full export, and the
+// correction / deletion requests staff process. Deletion anonymises the
+// household instead of removing it, so aggregates do not change.
+const { loadSubmission, openRevisionChanges } = require('./censusSubmission');
+const { loadQuestionnaire } = require('./questionnaire');
+const {
+  decryptField,
+  decryptPersonRow,
+  decryptDraftMembers,
+  submitterHash,
+} = require('./fieldCrypto');
+
+const REQUEST_TYPES = ['correction', 'deletion'];
+const REQUEST_DECISIONS = ['completed', 'rejected'];
+
+function mapRequest(row) {
+  return {
+    id: row.id,
+    type: row.request_type,
+    censusYear: row.census_year,
+    householdId: row.household_id,
+    details: row.details,
+    status: row.status,
+    createdAt: row.created_at,
+    handledAt: row.handled_at,
+    resolutionNote: row.resolution_note,
+  };
+}
+
+async function householdExport(db, householdId) {
+  const submission = await loadSubmission(db, householdId);
+
+  const { rows: revisions } = await db.query(
+    `
+    SELECT version, changed_at, changes
+    FROM household_revisions
+    WHERE household_id = $1
+    ORDER BY version
+    `,
+    [householdId]
+  );
+  const { rows: receipts } = await db.query(
+    `
+    SELECT receipt_code, census_year, member_count, submitted_at, superseded_at
+    FROM submission_receipts
+    WHERE household_id = $1
+    ORDER BY submitted_at
+    `,
+    [householdId]
+  );
+  const { rows: qcFlags } = await db.query(
+    'SELECT rule, severity, message, created_at FROM qc_flags WHERE household_id = $1 ORDER BY id',
+    [householdId]
+  );
+
+  return {
+    ...submission,
+    revisions: revisions.map((r) => ({ ...r, changes: openRevisionChanges(r.changes) })),
+    receipts,
+    qcFlags,
+  };
+}
+
+/**
+ * Everything stored about a citizen: households they head (all census
+ * years, all members), their own person rows in other households, drafts
+ * and data requests. Personal fields are decrypted.
+ */
+async function exportCitizenData(db, citizenIdId) {
+  const { rows: citizenRows } = await db.query(
+    'SELECT id, citizen_number FROM citizen_ids WHERE id = $1',
+    [citizenIdId]
+  );
+  const { rows: personRows } = await db.query(
+    'SELECT * FROM persons WHERE citizen_id_id = $1 ORDER BY census_year, id',
+    [citizenIdId]
+  );
+
+  const households = [];
+  for (const p of personRows.filter((r) => r.is_head)) {
+    households.push(await householdExport(db, p.household_id));
+  }
+
+  const { rows: drafts } = await db.query(
+    `
+    SELECT census_year, household, members, created_at, updated_at
+    FROM census_drafts
+    WHERE citizen_id_id = $1
+    ORDER BY census_year
+    `,
+    [citizenIdId]
+  );
+  const { rows: requests } = await db.query(
+    'SELECT * FROM data_requests WHERE citizen_id_id = $1 ORDER BY created_at',
+    [citizenIdId]
+  );
+
+  return {
+    exportedAt: new Date().toISOString(),
+    citizen: citizenRows[0]
+      ? { citizenIdId, citizenNumber: decryptField(citizenRows[0].citizen_number) }
+      : null,
+    households,
+    memberships: personRows.filter((r) => !r.is_head).map(decryptPersonRow),
+    drafts: drafts.map((d) => ({ ...d, members: decryptDraftMembers(d.members) })),
+    requests: requests.map(mapRequest),
+  };
+}
+
+// Extension questions answered with free text may identify someone
+function freeTextKeys(questionnaire, scope) {
+  return (questionnaire?.sections || [])
+    .filter((s) => s.scope === scope)
+    .flatMap((s) => s.questions)
+    .filter((q) => q.extension && q.answerType === 'text')
+    .map((q) => q.key);
+}
+
+/**
+ * Anonymise a household in place: names, dates of birth, CCCD links,
+ * address and free-text answers are removed; coded answers and
+ * persons.birth_year stay, so the household keeps counting in reports.
+ * Revision snapshots and duplicate-conflict records, which would identify
+ * members again, are deleted, and data requests no longer point at the
+ * household. The head's submission is remembered in anonymised_submitters
+ * only as a keyed hash, so they cannot submit (and be counted) twice.
+ * Runs inside the caller's transaction.
+ * Returns the number of persons anonymised, or null if there is no such
+ * household.
+ */
+async function anonymiseHousehold(client, householdId) {
+  const hhRes = await client.query(
+    'SELECT census_year FROM households WHERE id = $1 FOR UPDATE',
+    [householdId]
+  );
+  if (hhRes.rowCount === 0) return null;
+
+  const year = hhRes.rows[0].census_year;
+  const questionnaire = await loadQuestionnaire(client, year);
+
+  const headRes = await client.query(
+    `
+    SELECT citizen_id_id FROM persons
+    WHERE household_id = $1 AND is_head AND citizen_id_id IS NOT NULL
+    `,
+    [householdId]
+  );
+  for (const { citizen_id_id: citizenIdId } of headRes.rows) {
+    await client.query(
+      `
+      INSERT INTO anonymised_submitters (census_year, submitter_hash)
+      VALUES ($1, $2)
+      ON CONFLICT DO NOTHING
+      `,
+      [year, submitterHash(citizenIdId, year)]
+    );
+  }
+
+  await client.query(
+    `
+    UPDATE households SET
+      address_detail = NULL,
+      extra_answers = extra_answers - $2::text[],
+      anonymised_at = NOW(),
+      updated_at = NOW()
+    WHERE id = $1
+    `,
+    [householdId, freeTextKeys(questionnaire, 'household')]
+  );
+
+  await client.query(
+    `
+    DELETE FROM enumeration_conflicts
+    WHERE existing_person_id IN (SELECT id FROM persons WHERE household_id = $1)
+       OR new_person_id IN (SELECT id FROM persons WHERE household_id = $1)
+    `,
+    [householdId]
+  );
+
+  const personsRes = await client.query(
+    `
+    UPDATE persons SET
+      citizen_id_id = NULL,
+      full_name = NULL,
+      date_of_birth = NULL,
+      previous_district_name = NULL,
+      extra_answers = extra_answers - $2::text[]
+    WHERE household_id = $1
+    `,
+    [householdId, freeTextKeys(questionnaire, 'member')]
+  );
+
+  await client.query('DELETE FROM household_revisions WHERE household_id = $1', [householdId]);
+  await client.query(
+    'UPDATE data_requests SET household_id = NULL WHERE household_id = $1',
+    [householdId]
+  );
+
+  return personsRes.rowCount;
+}
+
+module.exports = {
+  REQUEST_TYPES,
+  REQUEST_DECISIONS,
+  mapRequest,
+  exportCitizenData,
+  anonymiseHousehold,
+};
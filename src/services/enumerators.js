@@ -0,0 +1,35 @@
+// src/services/enumerators.js
+// Ward assignments of enumerator accounts (report_users with role 'enumerator').
+
+/**
+ * Ward ids the enumerator may submit households for.
+ */
+async function getAssignedWardIds(db, userId) {
+  const { rows } = await db.query(
+    'SELECT ward_id FROM enumerator_assignments WHERE user_id = $1',
+    [userId]
+  );
+  return rows.map((r) => Number(r.ward_id));
+}
+
+/**
+ * Returns a validation-style error when the household's ward is outside
+ * the enumerator's assigned area, otherwise null.
+ */
+function checkWardAssignment(household, assignedWardIds) {
+  const wardId = Number(household?.wardId);
+  if (!wardId || !assignedWardIds.includes(wardId)) {
+    return {
+      scope: 'household',
+      field: 'wardId',
+      code: 'ward_not_assigned',
+      message: 'Phường/xã này không thuộc địa bàn được phân công.',
+    };
+  }
+  return null;
+}
+
+module.exports = {
+  getAssignedWardIds,
+  checkWardAssignment,
+};
@@ -0,0 +1,209 @@
+// src/services/fieldCrypto.js
+// Application-level encryption of identifying fields (names, dates of
+// birth, CCCD numbers) with AES-256-GCM.
+//
+// Keys come from FIELD_ENCRYPTION_KEYS, "id:base64key" pairs separated by
+// commas. New values are encrypted with FIELD_ENCRYPTION_KEY_ID (default:
+// the first key); older keys stay listed only to decrypt. To rotate: add
+// the new key, make it current, run `npm run reencrypt`, then drop the old
+// key.
+//
+// Ciphertext format: enc:<keyId>:<iv>:<tag>:<data> (base64url). Values
+// without the prefix are legacy plain text and are returned unchanged.
+//
+// CCCD numbers are looked up by equality, so they also get a blind index
+// (HMAC with FIELD_HASH_KEY). That key is not rotated with the encryption
+// keys: changing it means recomputing every citizen_number_hash.
+//
+// Both settings are required; built-in dev keys are only used with
+// NODE_ENV=development (npm run dev).
+const crypto = require('crypto');
+
+const PREFIX = 'enc:';
+const DEV_MODE = process.env.NODE_ENV === 'development';
+const DEV_KEY_SOURCE = 'vietcensus-field-dev-key';
+
+function requireSetting(name, devValue) {
+  if (process.env[name]) return process.env[name];
+  if (DEV_MODE) return devValue;
+  throw new Error(`${name} is not set (dev keys are only used with NODE_ENV=development)`);
+}
+
+const FIELD_HASH_KEY = requireSetting('FIELD_HASH_KEY', 'vietcensus-field-hash-dev-key');
+
+function loadKeys() {
+  const keys = new Map();
+  const spec = requireSetting('FIELD_ENCRYPTION_KEYS', null);
+
+  if (!spec) {
+    keys.set('dev', crypto.createHash('sha256').update(DEV_KEY_SOURCE).digest());
+    return keys;
+  }
+
+  for (const entry of spec.split(',').map((s) => s.trim()).filter(Boolean)) {
+    const [id, encoded] = entry.split(':');
+    const key = Buffer.from(encoded || '', 'base64');
+    if (!id || key.length !== 32) {
+      throw new Error(`FIELD_ENCRYPTION_KEYS: key "${id}" must be 32 bytes, base64 encoded`);
+    }
+    keys.set(id, key);
+  }
+  return keys;
+}
+
+const KEYS = loadKeys();
+const CURRENT_KEY_ID = process.env.FIELD_ENCRYPTION_KEY_ID || KEYS.keys().next().value;
+
+if (!KEYS.has(CURRENT_KEY_ID)) {
+  throw new Error(`FIELD_ENCRYPTION_KEY_ID "${CURRENT_KEY_ID}" is not in FIELD_ENCRYPTION_KEYS`);
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+function keyIdOf(value) {
+  return isEncrypted(value) ? value.split(':')[1] : null;
+}
+
+/**
+ * Encrypt a value with the current key. null / undefined stay null.
+ */
+function encryptField(value) {
+  if (value === null || value === undefined) return null;
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', KEYS.get(CURRENT_KEY_ID), iv);
+  const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [
+    'enc',
+    CURRENT_KEY_ID,
+    iv.toString('base64url'),
+    tag.toString('base64url'),
+    data.toString('base64url'),
+  ].join(':');
+}
+
+/**
+ * Decrypt a value produced by encryptField(). Legacy plain text values are
+ * returned as-is.
+ */
+function decryptField(value) {
+  if (!isEncrypted(value)) return value ?? null;
+
+  const [, keyId, iv, tag, data] = value.split(':');
+  const key = KEYS.get(keyId);
+  if (!key) {
+    throw new Error(`Unknown field encryption key "${keyId}"`);
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(data, 'base64url')),
+    decipher.final(),
+  ]).toString('utf8');
+}
+
+/**
+ * Whether a stored value is plain text or encrypted with a non-current key.
+ */
+function needsReencryption(value) {
+  if (value === null || value === undefined) return false;
+  return keyIdOf(value) !== CURRENT_KEY_ID;
+}
+
+/**
+ * Blind index of a CCCD number, for equality lookups.
+ */
+function citizenNumberHash(citizenNumber) {
+  return crypto
+    .createHmac('sha256', FIELD_HASH_KEY)
+    .update(String(citizenNumber).trim())
+    .digest('hex');
+}
+
+/**
+ * Non-identifying marker of "this citizen submitted for this census year",
+ * kept when their household is anonymised (anonymised_submitters).
+ */
+function submitterHash(citizenIdId, censusYear) {
+  return crypto
+    .createHmac('sha256', FIELD_HASH_KEY)
+    .update(`submitter:${citizenIdId}:${censusYear}`)
+    .digest('hex');
+}
+
+// persons columns stored encrypted
+const PERSON_ENCRYPTED_COLUMNS = ['full_name', 'date_of_birth'];
+
+/**
+ * Copy of a persons row with the encrypted columns decrypted.
+ */
+function decryptPersonRow(row) {
+  if (!row) return row;
+  const out = { ...row };
+  for (const col of PERSON_ENCRYPTED_COLUMNS) {
+    if (col in out) out[col] = decryptField(out[col]);
+  }
+  return out;
+}
+
+/**
+ * Copy of a (decrypted) persons row with the encrypted columns encrypted,
+ * e.g. before keeping it in a revision snapshot.
+ */
+function encryptPersonRow(row) {
+  if (!row) return row;
+  const out = { ...row };
+  for (const col of PERSON_ENCRYPTED_COLUMNS) {
+    if (col in out) out[col] = encryptField(decryptField(out[col]));
+  }
+  return out;
+}
+
+// Draft member fields (camelCase, as sent by the frontend) stored encrypted
+const DRAFT_MEMBER_ENCRYPTED_FIELDS = ['fullName', 'dateOfBirth', 'citizenNumber'];
+
+function mapDraftMembers(members, fn) {
+  if (!Array.isArray(members)) return members;
+  return members.map((m) => {
+    if (!m || typeof m !== 'object') return m;
+    const out = { ...m };
+    for (const field of DRAFT_MEMBER_ENCRYPTED_FIELDS) {
+      if (out[field] !== undefined && out[field] !== null) out[field] = fn(out[field]);
+    }
+    return out;
+  });
+}
+
+/**
+ * Copy of a draft's members list with the identifying fields encrypted.
+ */
+function encryptDraftMembers(members) {
+  return mapDraftMembers(members, (v) => encryptField(decryptField(v)));
+}
+
+/**
+ * Copy of a stored draft's members list with the identifying fields
+ * decrypted.
+ */
+function decryptDraftMembers(members) {
+  return mapDraftMembers(members, decryptField);
+}
+
+module.exports = {
+  PERSON_ENCRYPTED_COLUMNS,
+  DRAFT_MEMBER_ENCRYPTED_FIELDS,
+  encryptField,
+  decryptField,
+  needsReencryption,
+  citizenNumberHash,
+  submitterHash,
+  decryptPersonRow,
+  encryptPersonRow,
+  encryptDraftMembers,
+  decryptDraftMembers,
+};
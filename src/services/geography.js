@@ -0,0 +1,50 @@
+// src/services/geography.js
+// Referential checks for the province > district > ward hierarchy.
+
+/**
+ * Returns validator-style errors when provinceCode / districtId / wardId
+ * do not exist or do not belong to each other. Format checks are done by
+ * the validator, so this only runs on well-formed values.
+ */
+async function checkAdministrativeUnits(db, household) {
+  const { districtId, wardId } = household;
+  // JSON clients may send the code as a number (79)
+  const provinceCode = String(household.provinceCode).padStart(2, '0');
+
+  const { rows } = await db.query(
+    `
+    SELECT
+      (SELECT province_code FROM provinces WHERE province_code = $1) AS province_code,
+      (SELECT province_code FROM districts WHERE id = $2) AS district_province_code,
+      (SELECT district_id FROM wards WHERE id = $3) AS ward_district_id
+    `,
+    [provinceCode, districtId, wardId]
+  );
+  const found = rows[0];
+  const errors = [];
+
+  const report = (field, code, message) =>
+    errors.push({ scope: 'household', field, code, message });
+
+  if (!found.province_code) {
+    report('provinceCode', 'not_found', 'Tỉnh/thành phố không tồn tại.');
+  }
+
+  if (!found.district_province_code) {
+    report('districtId', 'not_found', 'Quận/huyện không tồn tại.');
+  } else if (found.district_province_code !== provinceCode) {
+    report('districtId', 'hierarchy_mismatch', 'Quận/huyện không thuộc tỉnh/thành phố đã chọn.');
+  }
+
+  if (found.ward_district_id == null) {
+    report('wardId', 'not_found', 'Phường/xã không tồn tại.');
+  } else if (Number(found.ward_district_id) !== Number(districtId)) {
+    report('wardId', 'hierarchy_mismatch', 'Phường/xã không thuộc quận/huyện đã chọn.');
+  }
+
+  return errors;
+}
+
+module.exports = {
+  checkAdministrativeUnits,
+};
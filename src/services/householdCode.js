@@ -0,0 +1,131 @@
+// src/services/householdCode.js
+// Structured household codes:
+//
+//   YYYY-PP-DDD-WWWWW-SSSSSS-C
+//   census year, GSO province / district / ward codes,
+//   per-ward sequence for that census year, Luhn check digit
+//
+// The code is a stable identifier: it records where the household was
+// first enumerated and is not reissued when an amendment moves it, so the
+// current geography is always read from the households row.
+//
+// Codes issued before this scheme (HH-<timestamp>-<random>) are still
+// recognised as legacy codes.
+
+const STRUCTURED_RE = /^(\d{4})-?(\d{2})-?(\d{3})-?(\d{5})-?(\d{6})-?(\d)$/;
+const LEGACY_RE = /^HH-\d+-\d+$/;
+
+// Luhn check digit over a string of digits
+function computeCheckDigit(digits) {
+  let sum = 0;
+  let double = true;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let d = Number(digits[i]);
+    if (double) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+    double = !double;
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+function pad(value, width) {
+  return String(value).padStart(width, '0');
+}
+
+function formatHouseholdCode({ year, provinceCode, districtCode, wardCode, sequence }) {
+  const parts = [
+    pad(year, 4),
+    pad(provinceCode, 2),
+    pad(districtCode, 3),
+    pad(wardCode, 5),
+    pad(sequence, 6),
+  ];
+  return [...parts, computeCheckDigit(parts.join(''))].join('-');
+}
+
+/**
+ * Parse and verify a household code.
+ * Returns { valid, format: 'structured' | 'legacy' | null, ...components }.
+ */
+function parseHouseholdCode(code) {
+  const value = String(code || '').trim();
+
+  if (LEGACY_RE.test(value)) {
+    return { valid: true, format: 'legacy', code: value };
+  }
+
+  const m = value.match(STRUCTURED_RE);
+  if (!m) {
+    return { valid: false, format: null, code: value, reason: 'Sai định dạng mã hộ.' };
+  }
+
+  const [, year, provinceCode, districtCode, wardCode, sequence, check] = m;
+  const expected = computeCheckDigit(year + provinceCode + districtCode + wardCode + sequence);
+  const normalized = [year, provinceCode, districtCode, wardCode, sequence, check].join('-');
+
+  if (check !== expected) {
+    return { valid: false, format: 'structured', code: normalized, reason: 'Sai chữ số kiểm tra.' };
+  }
+
+  return {
+    valid: true,
+    format: 'structured',
+    code: normalized,
+    censusYear: Number(year),
+    provinceCode,
+    districtCode,
+    wardCode,
+    sequence: Number(sequence),
+  };
+}
+
+/**
+ * Allocate the next code for a ward (wardId: wards.id, already checked by
+ * checkAdministrativeUnits()). Must run inside the submit transaction: the
+ * sequence row stays locked until COMMIT/ROLLBACK, so concurrent submits
+ * in the same ward get distinct numbers and a rolled back submit does not
+ * burn one.
+ */
+async function allocateHouseholdCode(client, { year, provinceCode, wardId }) {
+  const unitRes = await client.query(
+    `
+    SELECT d.district_code, w.ward_code
+    FROM wards w
+    JOIN districts d ON d.id = w.district_id
+    WHERE w.id = $1
+    `,
+    [wardId]
+  );
+  if (unitRes.rowCount === 0) {
+    throw new Error(`allocateHouseholdCode: unknown ward ${wardId}`);
+  }
+
+  const { rows } = await client.query(
+    `
+    INSERT INTO household_code_sequences (ward_id, census_year, last_value)
+    VALUES ($1, $2, 1)
+    ON CONFLICT (ward_id, census_year)
+    DO UPDATE SET last_value = household_code_sequences.last_value + 1
+    RETURNING last_value
+    `,
+    [wardId, year]
+  );
+
+  return formatHouseholdCode({
+    year,
+    provinceCode,
+    districtCode: unitRes.rows[0].district_code,
+    wardCode: unitRes.rows[0].ward_code,
+    sequence: rows[0].last_value,
+  });
+}
+
+module.exports = {
+  computeCheckDigit,
+  formatHouseholdCode,
+  parseHouseholdCode,
+  allocateHouseholdCode,
+};
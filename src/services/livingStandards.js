@@ -0,0 +1,125 @@
+// src/services/livingStandards.js
+// Household living-standards indicators (housing, water, sanitation,
+// cooking fuel, electricity, space) and the composite index built from
+// them. Each indicator is a boolean SQL expression over households h and
+// the member count m.members (MEMBERS_JOIN); NULL means "not answered"
+// or, for coded columns, an answer outside the code list.
+const {
+  HOUSING_TYPE,
+  DURABLE_HOUSING_TYPES,
+  WATER_SOURCE,
+  IMPROVED_WATER_SOURCES,
+  TOILET_TYPE,
+  IMPROVED_TOILET_TYPES,
+  COOKING_FUEL,
+  CLEAN_COOKING_FUELS,
+} = require('../validation/codeLists');
+
+// Floor area per person (m²) counted as adequate living space
+const MIN_FLOOR_AREA_PER_PERSON = 8;
+
+const MEMBERS_JOIN = `
+    LEFT JOIN LATERAL (
+      SELECT COUNT(*) AS members FROM persons p WHERE p.household_id = h.id
+    ) m ON TRUE`;
+
+/**
+ * list: the column's code list; codes: the values in it that satisfy the
+ * indicator (both bound as parameters). Or sql for a fixed expression.
+ */
+const INDICATORS = {
+  durable_housing: {
+    label: 'Nhà kiên cố / bán kiên cố',
+    column: 'housing_type',
+    list: HOUSING_TYPE,
+    codes: DURABLE_HOUSING_TYPES,
+  },
+  improved_water: {
+    label: 'Nguồn nước hợp vệ sinh',
+    column: 'drinking_water_source',
+    list: WATER_SOURCE,
+    codes: IMPROVED_WATER_SOURCES,
+  },
+  improved_sanitation: {
+    label: 'Nhà vệ sinh hợp vệ sinh',
+    column: 'toilet_type',
+    list: TOILET_TYPE,
+    codes: IMPROVED_TOILET_TYPES,
+  },
+  clean_cooking_fuel: {
+    label: 'Nhiên liệu nấu ăn sạch',
+    column: 'cooking_fuel',
+    list: COOKING_FUEL,
+    codes: CLEAN_COOKING_FUELS,
+  },
+  electricity: {
+    label: 'Có điện',
+    sql: 'h.has_electricity',
+  },
+  adequate_space: {
+    label: `Diện tích ở từ ${MIN_FLOOR_AREA_PER_PERSON} m²/người`,
+    sql: `h.floor_area_m2 / NULLIF(m.members, 0) >= ${MIN_FLOOR_AREA_PER_PERSON}`,
+  },
+};
+
+// Equal weights unless ?weights= says otherwise
+const DEFAULT_WEIGHTS = Object.fromEntries(Object.keys(INDICATORS).map((k) => [k, 1]));
+
+/**
+ * SQL for one indicator; code lists are appended to params. Values
+ * outside the column's code list (free text) give NULL, not FALSE.
+ */
+function indicatorSql(key, params) {
+  const ind = INDICATORS[key];
+  if (ind.sql) return `(${ind.sql})`;
+  params.push(Object.keys(ind.list), ind.codes);
+  const list = `$${params.length - 1}::text[]`;
+  const codes = `$${params.length}::text[]`;
+  return `(CASE WHEN h.${ind.column} = ANY(${list}) THEN h.${ind.column} = ANY(${codes}) END)`;
+}
+
+/**
+ * ?weights=durable_housing:2,improved_water:1 -> { weights } (only the
+ * listed indicators take part), or { error }. Missing -> DEFAULT_WEIGHTS.
+ */
+function parseWeights(value) {
+  if (value === undefined || value === '') return { weights: DEFAULT_WEIGHTS };
+
+  const weights = {};
+  for (const part of String(value).split(',')) {
+    const [key, raw] = part.split(':').map((s) => s.trim());
+    const weight = Number(raw);
+    if (!Object.prototype.hasOwnProperty.call(INDICATORS, key)) return { error: `Unknown indicator "${key}" in ?weights=` };
+    if (raw === undefined || raw === '' || !Number.isFinite(weight) || weight < 0) {
+      return { error: `Invalid weight for "${key}" in ?weights=` };
+    }
+    weights[key] = weight;
+  }
+  if (!Object.values(weights).some((w) => w > 0)) {
+    return { error: 'At least one weight in ?weights= must be positive' };
+  }
+  return { weights };
+}
+
+/**
+ * Per-household index on a 0-100 scale: weighted share of the indicators
+ * the household meets. Unanswered indicators are left out and the
+ * remaining weights rescaled; NULL when none is answered.
+ */
+function indexSql(weights, params) {
+  const terms = Object.entries(weights)
+    .filter(([, w]) => w > 0)
+    .map(([key, w]) => ({ sql: indicatorSql(key, params), w }));
+
+  const met = terms.map((t) => `${t.w} * COALESCE(${t.sql}::int, 0)`).join('\n        + ');
+  const answered = terms.map((t) => `${t.w} * (${t.sql} IS NOT NULL)::int`).join('\n        + ');
+  return `100.0 * (\n        ${met}\n      ) / NULLIF(\n        ${answered}\n      , 0)`;
+}
+
+module.exports = {
+  INDICATORS,
+  MEMBERS_JOIN,
+  indicatorSql,
+  parseWeights,
+  indexSql,
+};
@@ -0,0 +1,162 @@
+// src/services/qualityControl.js
+// Rule-based quality control run on every stored submission. Unlike the
+// validator, QC never rejects a submission: it attaches flags with a
+// severity and staff decide in the review queue.
+
+const SEVERITIES = ['low', 'medium', 'high'];
+const REVIEW_DECISIONS = ['accepted', 'rejected'];
+
+const MAX_AREA_PER_PERSON_M2 = 100;
+const MAX_ROOMS = 10;
+const MAX_AGE = 110;
+const MAX_HOUSEHOLD_SIZE = 20;
+// Minimum plausible age gap between the head and their child
+const MIN_PARENT_CHILD_GAP = 12;
+// RELATIONSHIP codes (validation/codeLists.js) counted as the head's child
+const CHILD_RELATIONSHIPS = ['child'];
+const ELECTRIC_AMENITIES = [
+  'has_internet',
+  'has_tv',
+  'has_fridge',
+  'has_washing_machine',
+  'has_computer',
+];
+
+function ageOf(person, year) {
+  if (!person.birth_year) return null;
+  return Number(year) - person.birth_year;
+}
+
+/**
+ * Each rule receives the loadSubmission() snapshot and returns zero or
+ * more { rule, severity, message, details } flags. Messages refer to
+ * members by position, never by name.
+ */
+const RULES = [
+  function floorAreaPerPerson({ household, members }) {
+    const area = Number(household.floor_area_m2);
+    if (!area || members.length === 0) return [];
+    const perPerson = area / members.length;
+    if (perPerson <= MAX_AREA_PER_PERSON_M2) return [];
+    return [{
+      rule: 'floor_area_per_person',
+      severity: 'medium',
+      message: `Diện tích bình quân ${perPerson.toFixed(1)} m²/người, bất thường.`,
+      details: { floorAreaM2: area, members: members.length },
+    }];
+  },
+
+  function roomCount({ household, members }) {
+    const rooms = Number(household.num_rooms);
+    if (!rooms || rooms <= MAX_ROOMS) return [];
+    return [{
+      rule: 'room_count',
+      severity: rooms > members.length * 3 ? 'medium' : 'low',
+      message: `Số phòng (${rooms}) lớn bất thường.`,
+      details: { numRooms: rooms, members: members.length },
+    }];
+  },
+
+  function householdSize({ members }) {
+    if (members.length <= MAX_HOUSEHOLD_SIZE) return [];
+    return [{
+      rule: 'household_size',
+      severity: 'medium',
+      message: `Hộ có ${members.length} thành viên, lớn bất thường.`,
+      details: { members: members.length },
+    }];
+  },
+
+  function implausibleAge({ household, members }) {
+    return members
+      .map((p, index) => ({ p, index }))
+      .filter(({ p }) => ageOf(p, household.census_year) > MAX_AGE)
+      .map(({ p, index }) => ({
+        rule: 'implausible_age',
+        severity: 'high',
+        message: `Thành viên thứ ${index + 1} có tuổi ${ageOf(p, household.census_year)}.`,
+        details: { personId: p.id, memberIndex: index, age: ageOf(p, household.census_year) },
+      }));
+  },
+
+  function headYoungerThanChild({ household, members }) {
+    const head = members.find((p) => p.is_head);
+    const headAge = head && ageOf(head, household.census_year);
+    if (headAge === null || headAge === undefined) return [];
+
+    return members
+      .map((p, index) => ({ p, index }))
+      .filter(({ p }) => CHILD_RELATIONSHIPS.includes(p.relationship_to_head))
+      .filter(({ p }) => {
+        const childAge = ageOf(p, household.census_year);
+        return childAge !== null && headAge - childAge < MIN_PARENT_CHILD_GAP;
+      })
+      .map(({ p, index }) => ({
+        rule: 'head_child_age_gap',
+        severity: 'high',
+        message:
+          `Chủ hộ (${headAge} tuổi) chênh lệch quá ít với con là thành viên thứ ${index + 1} ` +
+          `(${ageOf(p, household.census_year)} tuổi).`,
+        details: { headPersonId: head.id, childPersonId: p.id, memberIndex: index },
+      }));
+  },
+
+  function amenitiesWithoutElectricity({ household }) {
+    if (household.has_electricity !== false) return [];
+    const owned = ELECTRIC_AMENITIES.filter((col) => household[col] === true);
+    if (owned.length === 0) return [];
+    return [{
+      rule: 'amenities_without_electricity',
+      severity: owned.length >= 3 ? 'high' : 'medium',
+      message: 'Hộ không có điện nhưng khai có thiết bị dùng điện.',
+      details: { amenities: owned },
+    }];
+  },
+];
+
+function evaluate(submission) {
+  return RULES.flatMap((rule) => rule(submission));
+}
+
+/**
+ * Re-run QC for a household: replaces its flags and resets the review
+ * status (flagged / clean). Runs inside the caller's transaction.
+ * Returns the flags.
+ */
+async function runQualityControl(client, submission) {
+  const householdId = submission.household.id;
+  const flags = evaluate(submission);
+
+  await client.query('DELETE FROM qc_flags WHERE household_id = $1', [householdId]);
+
+  for (const f of flags) {
+    await client.query(
+      `
+      INSERT INTO qc_flags (household_id, rule, severity, message, details)
+      VALUES ($1, $2, $3, $4, $5)
+      `,
+      [householdId, f.rule, f.severity, f.message, JSON.stringify(f.details || {})]
+    );
+  }
+
+  await client.query(
+    `
+    UPDATE households SET
+      qc_status = $2,
+      qc_reviewed_by_user_id = NULL,
+      qc_reviewed_at = NULL,
+      qc_review_note = NULL
+    WHERE id = $1
+    `,
+    [householdId, flags.length > 0 ? 'flagged' : 'clean']
+  );
+
+  return flags;
+}
+
+module.exports = {
+  SEVERITIES,
+  REVIEW_DECISIONS,
+  evaluate,
+  runQualityControl,
+};
@@ -0,0 +1,237 @@
+// src/services/questionnaire.js
+// Questionnaire definition stored in the database (sections, questions,
+// answer types, code lists, skip logic) and the checks for answers that
+// have no dedicated column and are kept in extra_answers.
+//
+// Skip logic is the condition under which a question is asked:
+//   { "question": "everAttendedSchool", "equals": true }
+//   { "question": "migrationStatus", "in": ["intra_province", "inter_province"] }
+//   { "all": [ ... ] } / { "any": [ ... ] }
+// The referenced question is looked up among the same household / member
+// answers, extension answers included.
+const CODE_LISTS = require('../validation/codeLists');
+
+const SCOPES = ['household', 'member'];
+
+function isBlank(v) {
+  return v === undefined || v === null || v === '';
+}
+
+function questionOptions(row) {
+  if (row.code_list) {
+    const list = CODE_LISTS[row.code_list] || {};
+    return Object.entries(list).map(([code, label]) => ({ code, label }));
+  }
+  return row.options || null;
+}
+
+function mapQuestion(row) {
+  return {
+    key: row.question_key,
+    label: row.label_vi,
+    helpText: row.help_text_vi,
+    answerType: row.answer_type,
+    options: questionOptions(row),
+    required: row.required,
+    column: row.column_name,
+    extension: !row.column_name,
+    skipLogic: row.skip_logic,
+  };
+}
+
+/**
+ * Questionnaire for a census year:
+ * { censusYear, sections: [{ key, title, scope, questions }] }, or null
+ * when no definition exists for that year.
+ */
+async function loadQuestionnaire(db, year) {
+  const { rows } = await db.query(
+    `
+    SELECT
+      s.id AS section_id,
+      s.section_key,
+      s.title_vi AS section_title,
+      s.scope,
+      q.*
+    FROM questionnaire_sections s
+    LEFT JOIN questionnaire_questions q ON q.section_id = s.id
+    WHERE s.census_year = $1
+    ORDER BY s.position, s.id, q.position, q.id
+    `,
+    [year]
+  );
+  if (rows.length === 0) return null;
+
+  const sections = [];
+  for (const row of rows) {
+    let section = sections[sections.length - 1];
+    if (!section || section.id !== row.section_id) {
+      section = {
+        id: row.section_id,
+        key: row.section_key,
+        title: row.section_title,
+        scope: row.scope,
+        questions: [],
+      };
+      sections.push(section);
+    }
+    if (row.question_key) section.questions.push(mapQuestion(row));
+  }
+
+  return { censusYear: year, sections };
+}
+
+// Extension questions of one scope (household / member), keyed by question key
+function extensionQuestions(questionnaire, scope) {
+  const byKey = new Map();
+  for (const section of questionnaire?.sections || []) {
+    if (section.scope !== scope) continue;
+    for (const q of section.questions) {
+      if (q.extension) byKey.set(q.key, q);
+    }
+  }
+  return byKey;
+}
+
+/**
+ * Find an extension question by key, with the scope of its section.
+ */
+function findExtensionQuestion(questionnaire, key) {
+  for (const scope of SCOPES) {
+    const question = extensionQuestions(questionnaire, scope).get(key);
+    if (question) return { scope, question };
+  }
+  return null;
+}
+
+function conditionHolds(condition, answers) {
+  if (!condition) return true;
+  if (Array.isArray(condition.all)) return condition.all.every((c) => conditionHolds(c, answers));
+  if (Array.isArray(condition.any)) return condition.any.some((c) => conditionHolds(c, answers));
+
+  const value = answers[condition.question];
+  if (Array.isArray(condition.in)) return condition.in.includes(value);
+  if ('equals' in condition) return value === condition.equals;
+  if ('notEquals' in condition) return value !== condition.notEquals;
+  return true;
+}
+
+/**
+ * Check one extension answer against its question.
+ * Returns { value } (normalised) or { code, message }.
+ */
+function checkAnswer(question, value) {
+  const codes = (question.options || []).map((o) => o.code);
+
+  switch (question.answerType) {
+    case 'integer':
+    case 'number': {
+      const n = Number(value);
+      if (!Number.isFinite(n) || (question.answerType === 'integer' && !Number.isInteger(n))) {
+        return { code: 'invalid_number', message: 'Giá trị phải là số.' };
+      }
+      return { value: n };
+    }
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        return { code: 'invalid_type', message: 'Giá trị phải là true hoặc false.' };
+      }
+      return { value };
+    case 'yes_no':
+      if (value !== 'yes' && value !== 'no') {
+        return { code: 'invalid_code', message: 'Giá trị phải là "yes" hoặc "no".' };
+      }
+      return { value };
+    case 'date':
+      if (typeof value !== 'string' || Number.isNaN(new Date(value).getTime())) {
+        return { code: 'invalid_date', message: 'Ngày không hợp lệ.' };
+      }
+      return { value };
+    case 'single_choice':
+      if (!codes.includes(value)) {
+        return { code: 'invalid_code', message: 'Lựa chọn không hợp lệ.' };
+      }
+      return { value };
+    case 'multi_choice':
+      if (!Array.isArray(value) || value.some((v) => !codes.includes(v))) {
+        return { code: 'invalid_code', message: 'Lựa chọn không hợp lệ.' };
+      }
+      return { value: [...new Set(value)] };
+    default:
+      if (typeof value !== 'string') {
+        return { code: 'invalid_type', message: 'Giá trị phải là chuỗi ký tự.' };
+      }
+      return { value: value.trim() };
+  }
+}
+
+// Validate and normalise one household's / member's extraAnswers
+function collectExtraAnswers(questions, payload, report) {
+  const given = payload.extraAnswers || {};
+  const stored = {};
+
+  if (typeof given !== 'object' || Array.isArray(given)) {
+    report('extraAnswers', 'invalid_type', 'extraAnswers phải là một đối tượng.');
+    return stored;
+  }
+
+  const answers = { ...payload, ...given };
+
+  for (const key of Object.keys(given)) {
+    if (!questions.has(key)) {
+      report(`extraAnswers.${key}`, 'unknown_question', 'Câu hỏi không có trong phiếu điều tra.');
+    }
+  }
+
+  for (const [key, question] of questions) {
+    // Answers to questions that were skipped are not kept
+    if (!conditionHolds(question.skipLogic, answers)) continue;
+
+    const value = given[key];
+    if (isBlank(value) || (Array.isArray(value) && value.length === 0)) {
+      if (question.required) {
+        report(`extraAnswers.${key}`, 'required', 'Vui lòng trả lời câu hỏi này.');
+      }
+      continue;
+    }
+
+    const result = checkAnswer(question, value);
+    if (result.code) {
+      report(`extraAnswers.${key}`, result.code, result.message);
+    } else {
+      stored[key] = result.value;
+    }
+  }
+
+  return stored;
+}
+
+/**
+ * Validate the extraAnswers of a household and its members against the
+ * questionnaire (which may be null when the year has no definition).
+ * Errors use the validator's { scope, memberIndex?, field, code, message }
+ * shape. Returns { errors, householdExtra, memberExtras }.
+ */
+function validateExtraAnswers(questionnaire, { household, members }) {
+  const errors = [];
+  const householdQuestions = extensionQuestions(questionnaire, 'household');
+  const memberQuestions = extensionQuestions(questionnaire, 'member');
+
+  const householdExtra = collectExtraAnswers(householdQuestions, household, (field, code, message) =>
+    errors.push({ scope: 'household', field, code, message })
+  );
+  const memberExtras = members.map((m, memberIndex) =>
+    collectExtraAnswers(memberQuestions, m || {}, (field, code, message) =>
+      errors.push({ scope: 'member', memberIndex, field, code, message })
+    )
+  );
+
+  return { errors, householdExtra, memberExtras };
+}
+
+module.exports = {
+  SCOPES,
+  loadQuestionnaire,
+  findExtensionQuestion,
+  validateExtraAnswers,
+};
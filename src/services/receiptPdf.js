@@ -0,0 +1,66 @@
+// src/services/receiptPdf.js
+// Render a submission receipt as a one-page PDF.
+const PDFDocument = require('pdfkit');
+
+// The built-in PDF fonts have no Vietnamese glyphs. Point RECEIPT_FONT_PATH
+// at a TTF that does (e.g. DejaVuSans.ttf); otherwise accents are stripped.
+const RECEIPT_FONT_PATH = process.env.RECEIPT_FONT_PATH || null;
+
+function plain(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .replace(/Đ/g, 'D');
+}
+
+/**
+ * Write the PDF for `receipt` (see services/receipts mapReceipt) to `stream`.
+ */
+function renderReceiptPdf(receipt, stream) {
+  const doc = new PDFDocument({ size: 'A5', margin: 40 });
+  const t = RECEIPT_FONT_PATH ? (s) => s : plain;
+
+  if (RECEIPT_FONT_PATH) {
+    doc.font(RECEIPT_FONT_PATH);
+  }
+
+  doc.pipe(stream);
+
+  doc.fontSize(16).text(t('PHIẾU XÁC NHẬN HOÀN THÀNH ĐIỀU TRA'), { align: 'center' });
+  doc.moveDown(0.3);
+  doc.fontSize(11).text(t(`Tổng điều tra dân số năm ${receipt.censusYear}`), { align: 'center' });
+  doc.moveDown(1.5);
+
+  const rows = [
+    ['Mã hộ', receipt.householdCode],
+    ['Thời điểm nộp', new Date(receipt.submittedAt).toLocaleString('vi-VN')],
+    ...(receipt.amendedAt
+      ? [['Thời điểm chỉnh sửa', new Date(receipt.amendedAt).toLocaleString('vi-VN')]]
+      : []),
+    ['Số thành viên', String(receipt.memberCount)],
+  ];
+  doc.fontSize(12);
+  for (const [label, value] of rows) {
+    doc.text(`${t(label)}: ${value}`);
+    doc.moveDown(0.4);
+  }
+
+  doc.moveDown(1);
+  doc.fontSize(11).text(t('Mã xác minh'), { align: 'center' });
+  doc.fontSize(22).text(receipt.code, { align: 'center', characterSpacing: 2 });
+  doc.moveDown(1);
+
+  doc.fontSize(8).text(
+    t('Tra cứu tính xác thực của phiếu bằng mã xác minh tại /api/receipts/<mã>. ') +
+      t('Chữ ký số:'),
+    { align: 'left' }
+  );
+  doc.fontSize(6).text(receipt.token, { align: 'left' });
+
+  doc.end();
+}
+
+module.exports = {
+  renderReceiptPdf,
+};
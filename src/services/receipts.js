@@ -0,0 +1,158 @@
+// src/services/receipts.js
+// Tamper-evident submission receipts.
+//
+// A receipt is a JWT over { householdCode, censusYear, submittedAt,
+// memberCount, amendedAt } plus a short code derived from the same fields
+// with an HMAC, so neither the token nor the code can be forged without the
+// secret. submittedAt is always the original submission; receipts
+// re-issued after an amendment also carry amendedAt.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// A known fallback would let anyone forge receipts: development only
+if (!process.env.RECEIPT_SECRET && process.env.NODE_ENV !== 'development') {
+  throw new Error('RECEIPT_SECRET is not set (the dev secret is only used with NODE_ENV=development)');
+}
+const RECEIPT_SECRET = process.env.RECEIPT_SECRET || 'vietcensus-receipt-dev-secret';
+
+// Crockford base32 (no I, L, O, U): easy to read out over the phone
+const CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const CODE_LENGTH = 10;
+
+function receiptCodeFor({ householdCode, censusYear, submittedAt, memberCount, amendedAt }) {
+  const fields = [householdCode, censusYear, submittedAt, memberCount];
+  // Receipts issued before amendedAt existed hash the first four fields only
+  if (amendedAt) fields.push(amendedAt);
+
+  const digest = crypto
+    .createHmac('sha256', RECEIPT_SECRET)
+    .update(fields.join('|'))
+    .digest();
+
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[digest[i] % CODE_ALPHABET.length];
+  }
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+}
+
+function normalizeReceiptCode(code) {
+  const raw = String(code || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+  return raw.length === CODE_LENGTH ? `${raw.slice(0, 5)}-${raw.slice(5)}` : null;
+}
+
+function mapReceipt(row) {
+  return {
+    code: row.receipt_code,
+    token: row.token,
+    householdCode: row.household_code,
+    censusYear: row.census_year,
+    submittedAt: row.submitted_at,
+    memberCount: row.member_count,
+    amendedAt: row.amended_at || null,
+    supersededAt: row.superseded_at || null,
+  };
+}
+
+/**
+ * Issue a receipt for the household's current state. Earlier receipts of
+ * the same household (before an amendment) are marked superseded but stay
+ * verifiable. After an amendment pass the original submission time as
+ * submittedAt; the new receipt is then dated amendedAt = now. Runs inside
+ * the caller's transaction.
+ */
+async function issueReceipt(
+  client,
+  { householdId, householdCode, censusYear, memberCount, submittedAt = null }
+) {
+  const now = new Date().toISOString();
+  const fields = {
+    householdCode,
+    censusYear,
+    submittedAt: submittedAt ? new Date(submittedAt).toISOString() : now,
+    memberCount,
+    amendedAt: submittedAt ? now : null,
+  };
+  const code = receiptCodeFor(fields);
+  const token = jwt.sign({ ...fields, code }, RECEIPT_SECRET);
+
+  await client.query(
+    `
+    UPDATE submission_receipts SET superseded_at = NOW()
+    WHERE household_id = $1
+      AND superseded_at IS NULL
+    `,
+    [householdId]
+  );
+
+  const { rows } = await client.query(
+    `
+    INSERT INTO submission_receipts (
+      receipt_code, household_id, household_code, census_year,
+      member_count, submitted_at, amended_at, token
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING *
+    `,
+    [
+      code,
+      householdId,
+      householdCode,
+      censusYear,
+      memberCount,
+      fields.submittedAt,
+      fields.amendedAt,
+      token,
+    ]
+  );
+
+  return mapReceipt(rows[0]);
+}
+
+async function findReceiptByCode(db, code) {
+  const { rows } = await db.query(
+    'SELECT * FROM submission_receipts WHERE receipt_code = $1',
+    [code]
+  );
+  return rows[0] ? mapReceipt(rows[0]) : null;
+}
+
+async function findCurrentReceipt(db, householdId) {
+  const { rows } = await db.query(
+    `
+    SELECT * FROM submission_receipts
+    WHERE household_id = $1
+      AND superseded_at IS NULL
+    ORDER BY COALESCE(amended_at, submitted_at) DESC
+    LIMIT 1
+    `,
+    [householdId]
+  );
+  return rows[0] ? mapReceipt(rows[0]) : null;
+}
+
+/**
+ * Verify a receipt token's signature. Returns the signed fields or null.
+ */
+function verifyReceiptToken(token) {
+  try {
+    const decoded = jwt.verify(token, RECEIPT_SECRET);
+    const { householdCode, censusYear, submittedAt, memberCount, code } = decoded;
+    const amendedAt = decoded.amendedAt || null;
+    const fields = { householdCode, censusYear, submittedAt, memberCount, amendedAt };
+    if (receiptCodeFor(fields) !== code) {
+      return null;
+    }
+    return { ...fields, code };
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  receiptCodeFor,
+  normalizeReceiptCode,
+  issueReceipt,
+  findReceiptByCode,
+  findCurrentReceipt,
+  verifyReceiptToken,
+};
@@ -0,0 +1,270 @@
+// src/services/reportExport.js
+// CSV / XLSX export of report results. Rows are streamed from the
+// database (pg-query-stream) straight into the response, so large exports
+// are never held in memory.
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const ExcelJS = require('exceljs');
+const QueryStream = require('pg-query-stream');
+
+const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const FORMATS = ['json', 'csv', 'xlsx'];
+
+const AMENITY_LABELS = {
+  has_electricity: 'điện',
+  has_internet: 'Internet',
+  has_tv: 'tivi',
+  has_fridge: 'tủ lạnh',
+  has_washing_machine: 'máy giặt',
+  has_computer: 'máy tính',
+  has_car: 'ô tô',
+  has_motorcycle: 'xe máy',
+};
+
+// Vietnamese column headers; columns not listed keep their key
+const COLUMN_LABELS = {
+  census_year: 'Năm điều tra',
+  year: 'Năm điều tra',
+  province_code: 'Mã tỉnh',
+  province_name: 'Tỉnh/thành phố',
+  province: 'Mã tỉnh',
+  province_label: 'Tỉnh/thành phố',
+  district: 'Mã quận/huyện',
+  district_label: 'Quận/huyện',
+  district_id: 'ID quận/huyện',
+  district_code: 'Mã quận/huyện',
+  district_name: 'Quận/huyện',
+  ward: 'Mã phường/xã',
+  ward_label: 'Phường/xã',
+  ward_id: 'ID phường/xã',
+  ward_code: 'Mã phường/xã',
+  ward_name: 'Phường/xã',
+  area: 'Khu vực (mã)',
+  area_label: 'Khu vực',
+  area_type: 'Khu vực',
+  sex: 'Giới tính',
+  sex_label: 'Giới tính (tên)',
+  age_group: 'Nhóm tuổi',
+  education: 'Trình độ học vấn (mã)',
+  education_label: 'Trình độ học vấn',
+  ethnicity: 'Dân tộc (mã)',
+  ethnicity_label: 'Dân tộc',
+  population: 'Dân số',
+  persons: 'Số người',
+  households: 'Số hộ',
+  household_count: 'Số hộ',
+  households_with_internet: 'Số hộ có Internet',
+  internet_rate_pct: 'Tỷ lệ hộ có Internet (%)',
+  literate: 'Số người biết chữ',
+  literacy_rate_pct: 'Tỷ lệ biết chữ (%)',
+  children: 'Số trẻ em',
+  attending: 'Số trẻ đang đi học',
+  never_attended: 'Số trẻ chưa từng đi học',
+  attendance_rate_pct: 'Tỷ lệ đi học (%)',
+  education_level: 'Trình độ học vấn (mã)',
+  share_pct: 'Tỷ trọng (%)',
+  working_age_population: 'Dân số từ 15 tuổi trở lên',
+  labour_force: 'Lực lượng lao động',
+  employed: 'Số người có việc làm',
+  unemployed: 'Số người thất nghiệp',
+  participation_rate_pct: 'Tỷ lệ tham gia lực lượng lao động (%)',
+  employment_rate_pct: 'Tỷ lệ có việc làm trên dân số 15+ (%)',
+  unemployment_rate_pct: 'Tỷ lệ thất nghiệp (%)',
+  industry: 'Ngành kinh tế (mã)',
+  industry_label: 'Ngành kinh tế',
+  occupation: 'Nghề nghiệp (mã)',
+  occupation_label: 'Nghề nghiệp',
+  origin: 'Tỉnh nơi đi (mã)',
+  origin_name: 'Tỉnh nơi đi',
+  destination: 'Tỉnh nơi đến (mã)',
+  destination_name: 'Tỉnh nơi đến',
+  migrants: 'Số người di cư',
+  persons_with_disability: 'Số người khuyết tật',
+  with_multiple_types: 'Số người có nhiều dạng khuyết tật',
+  prevalence_pct: 'Tỷ lệ khuyết tật (%)',
+  disability_type: 'Dạng khuyết tật (mã)',
+  disability_type_label: 'Dạng khuyết tật',
+  persons_with_type: 'Số người có dạng khuyết tật này',
+  share_of_disabled_pct: 'Tỷ trọng trong số người khuyết tật (%)',
+  durable_housing_pct: 'Tỷ lệ hộ ở nhà kiên cố / bán kiên cố (%)',
+  improved_water_pct: 'Tỷ lệ hộ dùng nước hợp vệ sinh (%)',
+  improved_sanitation_pct: 'Tỷ lệ hộ có nhà vệ sinh hợp vệ sinh (%)',
+  clean_cooking_fuel_pct: 'Tỷ lệ hộ dùng nhiên liệu nấu ăn sạch (%)',
+  floor_area_per_person: 'Diện tích nhà ở bình quân (m²/người)',
+  households_scored: 'Số hộ tính được chỉ số',
+  average_index: 'Chỉ số mức sống trung bình',
+  median_index: 'Chỉ số mức sống trung vị',
+  below_50_pct: 'Tỷ lệ hộ có chỉ số dưới 50 (%)',
+  asset: 'Tài sản (mã)',
+  asset_label: 'Tài sản',
+  households_with_asset: 'Số hộ có tài sản',
+  ownership_rate_pct: 'Tỷ lệ hộ có tài sản (%)',
+  urban_households: 'Số hộ đô thị',
+  urban_rate_pct: 'Tỷ lệ ở đô thị (%)',
+  rural_households: 'Số hộ nông thôn',
+  rural_rate_pct: 'Tỷ lệ ở nông thôn (%)',
+  gap_pct_points: 'Chênh lệch đô thị - nông thôn (điểm %)',
+  asset_count: 'Số tài sản',
+  answer: 'Câu trả lời (mã)',
+  answer_label: 'Câu trả lời',
+  answer_count: 'Số lượng',
+  average: 'Trung bình',
+  min: 'Nhỏ nhất',
+  max: 'Lớn nhất',
+};
+for (const [col, label] of Object.entries(AMENITY_LABELS)) {
+  COLUMN_LABELS[`${col}_households`] = `Số hộ có ${label}`;
+  COLUMN_LABELS[`${col}_rate`] = `Tỷ lệ hộ có ${label} (%)`;
+}
+
+/**
+ * Requested format: ?format=json|csv|xlsx, else the Accept header
+ * (default json). Returns null for an unknown ?format=.
+ */
+function exportFormat(req) {
+  const format = String(req.query.format || '').toLowerCase();
+  if (format) return FORMATS.includes(format) ? format : null;
+
+  const accepted = req.accepts(['application/json', 'text/csv', XLSX_MIME]);
+  if (accepted === 'text/csv') return 'csv';
+  if (accepted === XLSX_MIME) return 'xlsx';
+  return 'json';
+}
+
+/**
+ * Rows of a query as an async iterable, fetched in batches through a
+ * dedicated client that is released when iteration ends.
+ */
+async function* streamQuery(db, sql, params = []) {
+  const client = await db.connect();
+  try {
+    yield* client.query(new QueryStream(sql, params, { batchSize: 500 }));
+  } finally {
+    client.release();
+  }
+}
+
+const CODE_COLUMNS = ['province', 'district', 'ward', 'ethnicity', 'answer', 'occupation', 'origin', 'destination'];
+
+function isCodeColumn(column) {
+  return column.endsWith('_code') || CODE_COLUMNS.includes(column);
+}
+
+function cellValue(v) {
+  if (v === null || v === undefined) return null;
+  if (v instanceof Date) return v;
+  if (Array.isArray(v)) return v.join('; ');
+  if (typeof v === 'object') return JSON.stringify(v);
+  return v;
+}
+
+const NUMERIC_TEXT = /^-?\d+(\.\d+)?$/;
+
+// Text starting like a formula (citizen-entered answers can) is prefixed
+// with ' so spreadsheets show it instead of evaluating it; numbers
+// returned as strings ('-1.5') are left alone.
+function neutralise(value) {
+  if (typeof value !== 'string' || NUMERIC_TEXT.test(value)) return value;
+  return /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+function csvCell(v) {
+  const value = neutralise(cellValue(v));
+  if (value === null) return '';
+  const s = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+async function* csvLines(first, rest, columns) {
+  // BOM so Excel opens the file as UTF-8
+  yield '\uFEFF' + columns.map((c) => csvCell(COLUMN_LABELS[c] || c)).join(',') + '\r\n';
+  if (first.done) return;
+  yield columns.map((c) => csvCell(first.value[c])).join(',') + '\r\n';
+  for await (const row of rest) {
+    yield columns.map((c) => csvCell(row[c])).join(',') + '\r\n';
+  }
+}
+
+async function writeXlsx(res, first, rest, columns, metadata) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+
+  const data = workbook.addWorksheet('Dữ liệu');
+  data.columns = columns.map((c) => ({ header: COLUMN_LABELS[c] || c, key: c, width: 20 }));
+  data.getRow(1).font = { bold: true };
+  data.getRow(1).commit();
+
+  const addRow = (row) => {
+    const values = {};
+    for (const c of columns) {
+      const v = cellValue(row[c]);
+      // pg returns COUNT/NUMERIC as strings; codes ('01') stay text
+      values[c] = typeof v === 'string' && !isCodeColumn(c) && NUMERIC_TEXT.test(v)
+        ? Number(v)
+        : neutralise(v);
+    }
+    data.addRow(values).commit();
+  };
+  if (!first.done) {
+    addRow(first.value);
+    for await (const row of rest) addRow(row);
+  }
+  data.commit();
+
+  const info = workbook.addWorksheet('Thông tin');
+  info.columns = [{ width: 25 }, { width: 40 }];
+  for (const [label, value] of Object.entries(metadata)) {
+    info.addRow([label, neutralise(value)]).commit();
+  }
+  info.commit();
+
+  await workbook.commit();
+}
+
+/**
+ * Metadata rows for the export (the XLSX "Thông tin" sheet).
+ */
+function exportMetadata({ report, year, province, username, filters = {}, refreshedAt }) {
+  return {
+    'Báo cáo': report,
+    'Năm điều tra': year ?? 'Tất cả',
+    'Tỉnh/thành phố': province || 'Toàn quốc',
+    ...filters,
+    ...(refreshedAt !== undefined && {
+      'Dữ liệu tổng hợp lúc': refreshedAt ? refreshedAt.toLocaleString('vi-VN') : 'Chưa tổng hợp',
+    }),
+    'Thời điểm tạo': new Date().toLocaleString('vi-VN'),
+    'Người yêu cầu': username || null,
+  };
+}
+
+/**
+ * Stream rows (async iterable) to the response as CSV or XLSX.
+ * Columns are taken from the first row unless given.
+ */
+async function writeExport(res, format, rows, { name, metadata, columns, mapRow = (r) => r }) {
+  const iterator = (async function* mapped() {
+    for await (const row of rows) yield mapRow(row);
+  })();
+  const first = await iterator.next();
+  const cols = columns || (first.done ? [] : Object.keys(first.value));
+  const rest = { [Symbol.asyncIterator]: () => iterator };
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Disposition', `attachment; filename="${name}-${stamp}.${format}"`);
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    await pipeline(Readable.from(csvLines(first, rest, cols)), res);
+  } else {
+    res.setHeader('Content-Type', XLSX_MIME);
+    await writeXlsx(res, first, rest, cols, metadata);
+  }
+}
+
+module.exports = {
+  COLUMN_LABELS,
+  exportFormat,
+  streamQuery,
+  exportMetadata,
+  writeExport,
+};
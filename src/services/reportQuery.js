@@ -0,0 +1,281 @@
+// src/services/reportQuery.js
+// Shared plumbing for the /api/reports routers: year and QC filters,
+// administrative-level grouping (?level=) and the JSON / CSV / XLSX
+// response.
+const { pool } = require('../db');
+const { getDefaultCensusYear } = require('./campaigns');
+const { AREA_SQL, AGE_GROUP_SQL, getStatsStatus } = require('./statsAggregates');
+const {
+  exportFormat,
+  streamQuery,
+  exportMetadata,
+  writeExport,
+} = require('./reportExport');
+
+// Age in completed years at the census (persons alias p)
+const AGE_SQL = '(p.census_year - p.birth_year)';
+
+function parseYear(q) {
+  if (!q) return null;
+  const y = parseInt(q, 10);
+  return Number.isNaN(y) ? null : y;
+}
+
+// ?year= if given, otherwise the active census campaign's year
+async function reportYear(q) {
+  if (q === undefined || q === '') return getDefaultCensusYear(pool);
+  return parseYear(q);
+}
+
+// ?excludeRejected=true leaves out households rejected in QC review
+function qcFilter(query) {
+  return query.excludeRejected === 'true' ? "AND h.qc_status <> 'rejected'" : '';
+}
+
+// Same filter on the pre-aggregated tables (alias s)
+function aggregateQcFilter(query) {
+  return query.excludeRejected === 'true' ? 'AND NOT s.qc_rejected' : '';
+}
+
+// Two-digit GSO province code, as stored in households.province_code
+function isProvinceCode(value) {
+  return /^\d{2}$/.test(value);
+}
+
+const LEVELS = {
+  province: 'Tỉnh/thành phố',
+  district: 'Quận/huyện',
+  ward: 'Phường/xã',
+};
+
+/**
+ * ?level=province|district|ward (default province) with the parent
+ * filters ?province= and ?district= (district id). Returns { error } or
+ * the SQL pieces grouping the rows of `alias` (s: aggregate tables,
+ * h: households) by administrative unit; filter values are appended to
+ * params. keys are the output column names, orderKey the one to sort on
+ * when selecting from a subquery.
+ */
+function reportLevel(query, alias, params) {
+  const level = query.level || 'province';
+  if (!Object.prototype.hasOwnProperty.call(LEVELS, level)) {
+    return { error: 'Invalid ?level= (province, district or ward)' };
+  }
+
+  const keys = ['province_code', 'province_name'];
+  const columns = ['pr.province_code', 'pr.name_vi AS province_name'];
+  const joins = [`JOIN provinces pr ON pr.province_code = ${alias}.province_code`];
+  const groupBy = ['pr.province_code', 'pr.name_vi'];
+  let orderBy = 'pr.province_code';
+
+  if (level !== 'province') {
+    keys.push('district_id', 'district_code', 'district_name');
+    columns.push('d.id AS district_id', 'd.district_code', 'd.name_vi AS district_name');
+    joins.push(`JOIN districts d ON d.id = ${alias}.district_id`);
+    groupBy.push('d.id', 'd.district_code', 'd.name_vi');
+    orderBy = 'd.district_code';
+  }
+  if (level === 'ward') {
+    keys.push('ward_id', 'ward_code', 'ward_name');
+    columns.push('w.id AS ward_id', 'w.ward_code', 'w.name_vi AS ward_name');
+    joins.push(`JOIN wards w ON w.id = ${alias}.ward_id`);
+    groupBy.push('w.id', 'w.ward_code', 'w.name_vi');
+    orderBy = 'w.ward_code';
+  }
+
+  const where = [];
+  const province = query.province ? String(query.province) : null;
+  if (province) {
+    if (!isProvinceCode(province)) {
+      return { error: 'Invalid ?province=' };
+    }
+    params.push(province);
+    where.push(`AND ${alias}.province_code = $${params.length}`);
+  }
+  let district = null;
+  if (query.district) {
+    district = parseInt(query.district, 10);
+    if (!district) {
+      return { error: 'Invalid ?district=' };
+    }
+    params.push(district);
+    where.push(`AND ${alias}.district_id = $${params.length}`);
+  }
+
+  return {
+    province,
+    keys,
+    orderKey: keys[keys.length - 2],
+    columns: columns.join(',\n      '),
+    joins: joins.join('\n    '),
+    where: where.join('\n      '),
+    groupBy: groupBy.join(', '),
+    orderBy,
+    metadata: {
+      'Cấp thống kê': LEVELS[level],
+      ...(district && { 'Quận/huyện (id)': district }),
+    },
+  };
+}
+
+/**
+ * Optional ?by=a,b breakdowns on top of the administrative level.
+ * breakdowns: name -> SQL expression. Returns { error } or { keys,
+ * columns, groupBy }, the SQL pieces each starting with a comma.
+ */
+function reportBreakdown(query, breakdowns) {
+  const keys = query.by ? String(query.by).split(',').map((s) => s.trim()) : [];
+  const unknown = keys.find((k) => !Object.prototype.hasOwnProperty.call(breakdowns, k));
+  if (unknown || new Set(keys).size !== keys.length) {
+    return { error: `Invalid ?by= (${Object.keys(breakdowns).join(', ')})` };
+  }
+
+  return {
+    keys,
+    columns: keys.map((k) => `, ${breakdowns[k]} AS ${k}`).join(''),
+    groupBy: keys.map((k) => `, ${breakdowns[k]}`).join(''),
+  };
+}
+
+/**
+ * Send report rows as JSON (default) or, with ?format=csv|xlsx or a
+ * matching Accept header, stream them as a download.
+ * mapRow transforms each row, wrap builds the JSON body from the rows.
+ * aggregated: the query reads the stats_* aggregate tables; the time they
+ * were last refreshed is sent in the X-Data-Refreshed-At header.
+ */
+async function respond(req, res, {
+  report,
+  sql,
+  params = [],
+  year = null,
+  province = null,
+  filters,
+  mapRow = (r) => r,
+  wrap = (rows) => rows,
+  aggregated = false,
+}) {
+  const format = exportFormat(req);
+  if (!format) {
+    return res.status(400).json({ error: 'Invalid ?format= (json, csv or xlsx)' });
+  }
+
+  let refreshedAt;
+  if (aggregated) {
+    ({ refreshedAt } = await getStatsStatus(pool));
+    if (refreshedAt) res.setHeader('X-Data-Refreshed-At', refreshedAt.toISOString());
+  }
+
+  if (format === 'json') {
+    const { rows } = await pool.query(sql, params);
+    return res.json(wrap(rows.map(mapRow)));
+  }
+
+  try {
+    await writeExport(res, format, streamQuery(pool, sql, params), {
+      name: report,
+      mapRow,
+      metadata: exportMetadata({
+        report,
+        year,
+        province,
+        filters,
+        refreshedAt,
+        username: req.user?.username,
+      }),
+    });
+  } catch (err) {
+    // Too late for a JSON error once the download has started
+    if (!res.headersSent) throw err;
+    console.error(`${report} export error`, err);
+    res.destroy(err);
+  }
+}
+
+/**
+ * Express handler for a report: resolves ?year= (reportYear), ?level= and
+ * ?by=, answering 400 for the first invalid one, then sends what build()
+ * returns through respond(). Failures are logged and answered with a 500
+ * carrying errorMessage.
+ *   trend: no ?year=; the level applies only with ?province=, ?district=
+ *          or ?level=
+ *   alias: table the level filters apply to, or null for no ?level=
+ *   breakdowns: name -> SQL expression accepted in ?by=
+ *   parse(query): { error } or report-specific values, checked before the
+ *                 level
+ *   params(query, values): parameters following the year ($1)
+ *   build({ query, year, level, by, params, ...values }): respond()
+ *         options, at least { sql }; params may still be appended to
+ * level and by are null when not used.
+ */
+function reportRoute({
+  report,
+  errorMessage,
+  trend = false,
+  alias = 'h',
+  breakdowns = null,
+  parse = () => ({}),
+  params: initialParams = () => [],
+  build,
+}) {
+  return async (req, res) => {
+    try {
+      const { query } = req;
+      let year = null;
+      if (!trend) {
+        year = await reportYear(query.year);
+        if (!year) {
+          return res.status(400).json({ error: 'Invalid ?year=' });
+        }
+      }
+
+      const values = parse(query);
+      if (values.error) {
+        return res.status(400).json({ error: values.error });
+      }
+
+      const params = [...(year ? [year] : []), ...initialParams(query, values)];
+      let level = null;
+      if (alias && (!trend || query.province || query.district || query.level)) {
+        level = reportLevel(query, alias, params);
+        if (level.error) {
+          return res.status(400).json({ error: level.error });
+        }
+      }
+      let by = null;
+      if (breakdowns) {
+        by = reportBreakdown(query, breakdowns);
+        if (by.error) {
+          return res.status(400).json({ error: by.error });
+        }
+      }
+
+      const options = await build({ query, year, level, by, params, ...values });
+      await respond(req, res, {
+        report,
+        params,
+        year,
+        province: level?.province,
+        filters: level?.metadata,
+        ...options,
+      });
+    } catch (err) {
+      console.error(`${report} error`, err);
+      res.status(500).json({ error: errorMessage });
+    }
+  };
+}
+
+module.exports = {
+  AGE_SQL,
+  AREA_SQL,
+  AGE_GROUP_SQL,
+  reportYear,
+  qcFilter,
+  aggregateQcFilter,
+  isProvinceCode,
+  reportLevel,
+  reportBreakdown,
+  respond,
+  reportRoute,
+};
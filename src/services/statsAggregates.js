@@ -0,0 +1,228 @@
+// src/services/statsAggregates.js
+// Pre-aggregated statistics (stats_person_counts, stats_household_counts)
+// behind the population / age / sex / urban-rural / internet / asset reports.
+//
+// Triggers mark each (census_year, province_code) slice touched by a write
+// in stats_dirty_slices (sql/migrations/014_stats_aggregates.sql);
+// refreshStats() recomputes just those slices and runs on a timer.
+// rebuildStats() recomputes everything.
+const { HOUSEHOLD_ASSET } = require('../validation/codeLists');
+
+const REFRESH_INTERVAL_MS = Number(process.env.STATS_REFRESH_INTERVAL_MS) || 60 * 1000;
+// Serialises refreshes and rebuilds across app instances
+const LOCK_KEY = 'stats_aggregates';
+
+const ASSETS = Object.keys(HOUSEHOLD_ASSET);
+
+// Area and age-group keys of the aggregate tables (households alias h,
+// persons alias p); reportQuery re-exports them so live reports group the
+// same way.
+const AREA_SQL = "CASE WHEN h.is_urban THEN 'Đô thị' ELSE 'Nông thôn' END";
+const AGE_GROUP_SQL = `
+      CASE
+        WHEN p.census_year - p.birth_year < 15 THEN '0-14'
+        WHEN p.census_year - p.birth_year BETWEEN 15 AND 24 THEN '15-24'
+        WHEN p.census_year - p.birth_year BETWEEN 25 AND 44 THEN '25-44'
+        WHEN p.census_year - p.birth_year BETWEEN 45 AND 59 THEN '45-59'
+        ELSE '60+'
+      END`;
+
+// $1 / $2: census years and province codes of the slices to recompute
+const SLICE_JOIN = `
+    JOIN unnest($1::int[], $2::text[]) AS s(census_year, province_code)
+      ON s.census_year = h.census_year
+     AND s.province_code = COALESCE(h.province_code, '')`;
+
+function personCountsSql(sliced) {
+  return `
+    INSERT INTO stats_person_counts (
+      census_year, province_code, district_id, ward_id,
+      area_type, sex, age_group, qc_rejected, population
+    )
+    SELECT
+      h.census_year,
+      h.province_code,
+      h.district_id,
+      h.ward_id,
+      ${AREA_SQL},
+      p.sex,
+      ${AGE_GROUP_SQL},
+      h.qc_status = 'rejected',
+      COUNT(*)
+    FROM persons p
+    JOIN households h ON h.id = p.household_id
+    ${sliced ? SLICE_JOIN : ''}
+    GROUP BY 1, 2, 3, 4, 5, 6, 7, 8
+  `;
+}
+
+function householdCountsSql(sliced) {
+  return `
+    INSERT INTO stats_household_counts (
+      census_year, province_code, district_id, ward_id, area_type, qc_rejected,
+      household_count,
+      ${ASSETS.map((a) => `households_with_${a}`).join(', ')}
+    )
+    SELECT
+      h.census_year,
+      h.province_code,
+      h.district_id,
+      h.ward_id,
+      ${AREA_SQL},
+      h.qc_status = 'rejected',
+      COUNT(*),
+      ${ASSETS.map((a) => `COUNT(*) FILTER (WHERE h.has_${a})`).join(',\n      ')}
+    FROM households h
+    ${sliced ? SLICE_JOIN : ''}
+    GROUP BY 1, 2, 3, 4, 5, 6
+  `;
+}
+
+function deleteSliceSql(table) {
+  return `
+    DELETE FROM ${table} t
+    USING unnest($1::int[], $2::text[]) AS s(census_year, province_code)
+    WHERE t.census_year = s.census_year
+      AND COALESCE(t.province_code, '') = s.province_code
+  `;
+}
+
+async function markRefreshed(client, fullRebuild) {
+  await client.query(
+    `
+    INSERT INTO stats_refresh_state (name, refreshed_at, last_full_rebuild_at)
+    VALUES ('aggregates', NOW(), CASE WHEN $1 THEN NOW() END)
+    ON CONFLICT (name) DO UPDATE SET
+      refreshed_at = NOW(),
+      last_full_rebuild_at = COALESCE(
+        EXCLUDED.last_full_rebuild_at,
+        stats_refresh_state.last_full_rebuild_at
+      )
+    `,
+    [fullRebuild]
+  );
+}
+
+/**
+ * Recompute the dirty slices. Returns the number of slices refreshed.
+ */
+async function refreshStats(db) {
+  const client = await db.connect();
+
+  try {
+    // Claim the slices outside the recompute transaction so concurrent
+    // submissions marking them again are never blocked; they are picked up
+    // by the next refresh.
+    const { rows: slices } = await client.query(
+      'DELETE FROM stats_dirty_slices RETURNING census_year, province_code'
+    );
+    const params = [slices.map((s) => s.census_year), slices.map((s) => s.province_code)];
+
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [LOCK_KEY]);
+
+      if (slices.length > 0) {
+        await client.query(deleteSliceSql('stats_person_counts'), params);
+        await client.query(deleteSliceSql('stats_household_counts'), params);
+        await client.query(personCountsSql(true), params);
+        await client.query(householdCountsSql(true), params);
+      }
+      await markRefreshed(client, false);
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      // Give the claimed slices back for the next attempt
+      await client.query(
+        `
+        INSERT INTO stats_dirty_slices (census_year, province_code)
+        SELECT * FROM unnest($1::int[], $2::text[])
+        ON CONFLICT DO NOTHING
+        `,
+        params
+      );
+      throw err;
+    }
+
+    return slices.length;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Recompute all aggregates from scratch.
+ */
+async function rebuildStats(db) {
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [LOCK_KEY]);
+
+    await client.query('DELETE FROM stats_dirty_slices');
+    await client.query('DELETE FROM stats_person_counts');
+    await client.query('DELETE FROM stats_household_counts');
+    await client.query(personCountsSql(false));
+    await client.query(householdCountsSql(false));
+    await markRefreshed(client, true);
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * { refreshedAt, lastFullRebuildAt, pendingSlices }
+ */
+async function getStatsStatus(db) {
+  const { rows } = await db.query(`
+    SELECT
+      s.refreshed_at,
+      s.last_full_rebuild_at,
+      (SELECT COUNT(*) FROM stats_dirty_slices) AS pending_slices
+    FROM (SELECT 1) one
+    LEFT JOIN stats_refresh_state s ON s.name = 'aggregates'
+  `);
+  return {
+    refreshedAt: rows[0].refreshed_at,
+    lastFullRebuildAt: rows[0].last_full_rebuild_at,
+    pendingSlices: Number(rows[0].pending_slices),
+  };
+}
+
+/**
+ * Run refreshStats() every STATS_REFRESH_INTERVAL_MS (default 60s).
+ */
+function startStatsRefresher(db, intervalMs = REFRESH_INTERVAL_MS) {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await refreshStats(db);
+    } catch (err) {
+      console.error('stats refresh error', err);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  AREA_SQL,
+  AGE_GROUP_SQL,
+  refreshStats,
+  rebuildStats,
+  getStatsStatus,
+  startStatsRefresher,
+};
@@ -0,0 +1,182 @@
+// src/services/statsQuery.js
+// Generic statistics query: the caller picks dimensions, measures and
+// filters by name; only names from the whitelists below ever reach the
+// SQL, filter values are always bound parameters.
+const { SEX, EDUCATION_LEVEL, ETHNICITY, HOUSEHOLD_ASSET } = require('../validation/codeLists');
+const { AGE_GROUP_SQL } = require('./reportQuery');
+
+const AGE_GROUPS = ['0-14', '15-24', '25-44', '45-59', '60+'];
+const AREAS = { urban: 'Đô thị', rural: 'Nông thôn' };
+const AMENITY_COLUMNS = Object.keys(HOUSEHOLD_ASSET).map((asset) => `has_${asset}`);
+
+const JOINS = {
+  provinces: 'LEFT JOIN provinces pr ON pr.province_code = h.province_code',
+  districts: 'LEFT JOIN districts d ON d.id = h.district_id',
+  wards: 'LEFT JOIN wards w ON w.id = h.ward_id',
+};
+
+/**
+ * person: the dimension needs persons joined.
+ * labels: code -> label list, or labelSql for a joined name.
+ * valid: check for filter values.
+ */
+const DIMENSIONS = {
+  year: {
+    sql: 'h.census_year',
+    valid: (v) => /^\d{4}$/.test(v),
+  },
+  province: {
+    sql: 'h.province_code',
+    labelSql: 'pr.name_vi',
+    join: 'provinces',
+    valid: (v) => /^\d{2}$/.test(v),
+  },
+  district: {
+    sql: 'h.district_id',
+    labelSql: 'd.name_vi',
+    join: 'districts',
+    valid: (v) => /^\d+$/.test(v),
+  },
+  ward: {
+    sql: 'h.ward_id',
+    labelSql: 'w.name_vi',
+    join: 'wards',
+    valid: (v) => /^\d+$/.test(v),
+  },
+  // Language-neutral codes for ?area=; the labels match AREA_SQL
+  area: {
+    sql: "CASE WHEN h.is_urban THEN 'urban' WHEN NOT h.is_urban THEN 'rural' END",
+    labels: AREAS,
+  },
+  sex: { sql: 'p.sex', person: true, labels: SEX },
+  age_group: {
+    sql: AGE_GROUP_SQL,
+    person: true,
+    valid: (v) => AGE_GROUPS.includes(v),
+  },
+  education: { sql: 'p.highest_education_level', person: true, labels: EDUCATION_LEVEL },
+  ethnicity: { sql: 'p.ethnicity', person: true, labels: ETHNICITY },
+};
+
+const MEASURES = {
+  persons: { sql: 'COUNT(p.id)', person: true },
+  households: { sql: 'COUNT(DISTINCT h.id)' },
+};
+for (const col of AMENITY_COLUMNS) {
+  MEASURES[`${col}_households`] = {
+    sql: `COUNT(DISTINCT h.id) FILTER (WHERE h.${col})`,
+  };
+  MEASURES[`${col}_rate`] = {
+    sql: `ROUND(100.0 * COUNT(DISTINCT h.id) FILTER (WHERE h.${col}) / NULLIF(COUNT(DISTINCT h.id), 0), 2)`,
+  };
+}
+
+function has(list, key) {
+  return Object.prototype.hasOwnProperty.call(list, key);
+}
+
+function splitList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return String(value).split(',').map((s) => s.trim()).filter(Boolean);
+}
+
+function isValidValue(dim, value) {
+  if (dim.valid) return dim.valid(value);
+  if (dim.labels) return has(dim.labels, value);
+  return true;
+}
+
+/**
+ * Build the query from request parameters:
+ *   dimensions=province,sex   measures=persons,has_internet_rate
+ *   <dimension>=v1,v2         filter on any dimension (e.g. sex=F)
+ * Without a year dimension or filter the query is limited to defaultYear.
+ * Household measures under a person dimension count households with at
+ * least one member in that group.
+ * Returns { error } or { sql, params, dimensions, measures, filters }.
+ */
+function buildStatsQuery(query, { defaultYear, extraWhere = '' }) {
+  const dimensions = splitList(query.dimensions);
+  const measures = splitList(query.measures || 'persons');
+
+  const unknownDim = dimensions.find((d) => !has(DIMENSIONS, d));
+  if (unknownDim) return { error: `Unknown dimension "${unknownDim}"` };
+  const unknownMeasure = measures.find((m) => !has(MEASURES, m));
+  if (unknownMeasure) return { error: `Unknown measure "${unknownMeasure}"` };
+  if (new Set(dimensions).size !== dimensions.length) {
+    return { error: 'Duplicate dimension' };
+  }
+
+  const filters = {};
+  for (const [key, dim] of Object.entries(DIMENSIONS)) {
+    const values = splitList(query[key]);
+    if (values.length === 0) continue;
+    const bad = values.find((v) => !isValidValue(dim, v));
+    if (bad) return { error: `Invalid value "${bad}" for ?${key}=` };
+    filters[key] = values;
+  }
+  if (!dimensions.includes('year') && !filters.year) {
+    filters.year = [String(defaultYear)];
+  }
+
+  const used = [...dimensions, ...Object.keys(filters)].map((k) => DIMENSIONS[k]);
+  const needsPersons =
+    used.some((d) => d.person) || measures.some((m) => MEASURES[m].person);
+  const joins = [...new Set(used.map((d) => d.join).filter(Boolean))].map((j) => JOINS[j]);
+
+  const params = [];
+  const where = ['TRUE'];
+  for (const [key, values] of Object.entries(filters)) {
+    params.push(values);
+    where.push(`(${DIMENSIONS[key].sql})::text = ANY($${params.length}::text[])`);
+  }
+
+  const selectDims = dimensions.flatMap((key) => {
+    const dim = DIMENSIONS[key];
+    return dim.labelSql
+      ? [`${dim.sql} AS ${key}`, `${dim.labelSql} AS ${key}_label`]
+      : [`${dim.sql} AS ${key}`];
+  });
+  const groupBy = dimensions.flatMap((key) => {
+    const dim = DIMENSIONS[key];
+    return dim.labelSql ? [dim.sql, dim.labelSql] : [dim.sql];
+  });
+
+  const sql = `
+    SELECT
+      ${[...selectDims, ...measures.map((m) => `${MEASURES[m].sql} AS ${m}`)].join(',\n      ')}
+    FROM households h
+    ${needsPersons ? 'JOIN persons p ON p.household_id = h.id' : ''}
+    ${joins.join('\n    ')}
+    WHERE ${where.join('\n      AND ')}
+      ${extraWhere}
+    ${groupBy.length ? `GROUP BY ${groupBy.join(', ')}` : ''}
+    ${dimensions.length ? `ORDER BY ${dimensions.join(', ')}` : ''};
+  `;
+
+  return { sql, params, dimensions, measures, filters };
+}
+
+/**
+ * Tidy row: measures as numbers, code labels for coded dimensions.
+ */
+function formatStatsRow(row, { dimensions, measures }) {
+  const out = {};
+  for (const key of dimensions) {
+    const dim = DIMENSIONS[key];
+    out[key] = row[key];
+    if (dim.labelSql) out[`${key}_label`] = row[`${key}_label`];
+    else if (dim.labels) out[`${key}_label`] = dim.labels[row[key]] ?? row[key];
+  }
+  for (const m of measures) {
+    out[m] = row[m] === null ? null : Number(row[m]);
+  }
+  return out;
+}
+
+module.exports = {
+  DIMENSIONS,
+  MEASURES,
+  buildStatsQuery,
+  formatStatsRow,
+};
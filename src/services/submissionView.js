@@ -0,0 +1,121 @@
+// src/services/submissionView.js
+// Citizen-facing view of a stored submission: camelCase fields plus
+// Vietnamese labels for every coded answer.
+const {
+  SEX,
+  RELATIONSHIP,
+  MARITAL_STATUS,
+  EDUCATION_LEVEL,
+  ETHNICITY,
+  RELIGION,
+  HOUSING_OWNERSHIP,
+  HOUSING_TYPE,
+  WALL_MATERIAL,
+  ROOF_MATERIAL,
+  FLOOR_MATERIAL,
+  WATER_SOURCE,
+  TOILET_TYPE,
+  GARBAGE_DISPOSAL,
+  LIGHTING_SOURCE,
+  COOKING_FUEL,
+  MIGRATION_STATUS,
+  DISABILITY_TYPE,
+  MAIN_ACTIVITY,
+  EMPLOYMENT_STATUS,
+  OCCUPATION,
+  INDUSTRY,
+} = require('../validation/codeLists');
+
+// Unknown codes (e.g. data entered before the code lists existed) are shown as-is
+function coded(list, value) {
+  if (value === null || value === undefined) return { code: null, label: null };
+  return { code: value, label: list[value] || String(value) };
+}
+
+function yesNo(value) {
+  if (value === null || value === undefined) return null;
+  return value ? 'Có' : 'Không';
+}
+
+function toHouseholdView(h, geo = {}) {
+  return {
+    householdId: h.id,
+    householdCode: h.household_code,
+    censusYear: h.census_year,
+    version: h.version,
+    updatedAt: h.updated_at,
+    province: { code: h.province_code, name: geo.province_name || null },
+    district: { id: h.district_id, name: geo.district_name || null },
+    ward: { id: h.ward_id, name: geo.ward_name || null },
+    addressDetail: h.address_detail,
+    area: h.is_urban === null ? null : h.is_urban ? 'Đô thị' : 'Nông thôn',
+    housingOwnership: coded(HOUSING_OWNERSHIP, h.housing_ownership),
+    housingType: coded(HOUSING_TYPE, h.housing_type),
+    mainWallMaterial: coded(WALL_MATERIAL, h.main_wall_material),
+    mainRoofMaterial: coded(ROOF_MATERIAL, h.main_roof_material),
+    mainFloorMaterial: coded(FLOOR_MATERIAL, h.main_floor_material),
+    floorAreaM2: h.floor_area_m2 === null ? null : Number(h.floor_area_m2),
+    numRooms: h.num_rooms,
+    drinkingWaterSource: coded(WATER_SOURCE, h.drinking_water_source),
+    otherWaterSource: coded(WATER_SOURCE, h.other_water_source),
+    toiletType: coded(TOILET_TYPE, h.toilet_type),
+    garbageDisposal: coded(GARBAGE_DISPOSAL, h.garbage_disposal),
+    lightingSource: coded(LIGHTING_SOURCE, h.lighting_source),
+    cookingFuel: coded(COOKING_FUEL, h.cooking_fuel),
+    amenities: {
+      hasElectricity: yesNo(h.has_electricity),
+      hasInternet: yesNo(h.has_internet),
+      hasTv: yesNo(h.has_tv),
+      hasFridge: yesNo(h.has_fridge),
+      hasWashingMachine: yesNo(h.has_washing_machine),
+      hasComputer: yesNo(h.has_computer),
+      hasCar: yesNo(h.has_car),
+      hasMotorcycle: yesNo(h.has_motorcycle),
+    },
+    extraAnswers: h.extra_answers || {},
+  };
+}
+
+function toMemberView(p) {
+  return {
+    personId: p.id,
+    isHead: p.is_head,
+    fullName: p.full_name,
+    sex: coded(SEX, p.sex),
+    dateOfBirth: p.date_of_birth,
+    relationshipToHead: coded(RELATIONSHIP, p.relationship_to_head),
+    ethnicity: coded(ETHNICITY, p.ethnicity),
+    religion: coded(RELIGION, p.religion),
+    maritalStatus: coded(MARITAL_STATUS, p.marital_status),
+    everAttendedSchool: yesNo(p.ever_attended_school),
+    currentlyAttending: yesNo(p.currently_attending),
+    highestEducationLevel: coded(EDUCATION_LEVEL, p.highest_education_level),
+    literacy: yesNo(p.literacy),
+    mainActivity: coded(MAIN_ACTIVITY, p.main_activity),
+    employmentStatus: coded(EMPLOYMENT_STATUS, p.employment_status),
+    occupation: coded(OCCUPATION, p.occupation),
+    industry: coded(INDUSTRY, p.industry),
+    migrationStatus: coded(MIGRATION_STATUS, p.migration_status),
+    previousProvinceCode: p.previous_province_code,
+    previousDistrictName: p.previous_district_name,
+    hasDisability: yesNo(p.has_disability),
+    disabilityType: (p.disability_type || []).map((t) => coded(DISABILITY_TYPE, t)),
+    submissionDate: p.submission_date,
+    extraAnswers: p.extra_answers || {},
+  };
+}
+
+/**
+ * Build the citizen view from a loadSubmission() snapshot.
+ * geo: { province_name, district_name, ward_name } if already looked up.
+ */
+function toCitizenView({ household, members }, geo) {
+  return {
+    household: toHouseholdView(household, geo),
+    members: members.map(toMemberView),
+  };
+}
+
+module.exports = {
+  toCitizenView,
+};
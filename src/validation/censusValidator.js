@@ -0,0 +1,286 @@
+// src/validation/censusValidator.js
+// Server-side validation of a census submission (household + members).
+// Returns a flat list of structured errors so the frontend can attach each
+// message to the right field of the right member.
+
+const {
+  SEX,
+  RELATIONSHIP,
+  MARITAL_STATUS,
+  EDUCATION_LEVEL,
+  ETHNICITY,
+  RELIGION,
+  HOUSING_TYPE,
+  WATER_SOURCE,
+  TOILET_TYPE,
+  MIGRATION_STATUS,
+  MIGRANT_STATUSES,
+} = require('./codeLists');
+
+// Marital status other than "single" is only asked from this age
+const MIN_MARITAL_AGE = 15;
+// Youngest age for which currently attending school makes sense (pre-school)
+const MIN_SCHOOL_AGE = 3;
+// Anyone who completed this level (or higher) is expected to be literate
+const LITERATE_FROM_LEVEL = 'lower_secondary';
+
+const YES_NO_FIELDS = [
+  'hasElectricity',
+  'hasInternet',
+  'hasTv',
+  'hasFridge',
+  'hasWashingMachine',
+  'hasComputer',
+  'hasCar',
+  'hasMotorcycle',
+];
+
+const BOOLEAN_MEMBER_FIELDS = [
+  'everAttendedSchool',
+  'currentlyAttending',
+  'literacy',
+  'hasDisability',
+];
+
+function isBlank(v) {
+  return v === undefined || v === null || v === '';
+}
+
+function isPositiveId(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0;
+}
+
+function educationRank(level) {
+  return Object.keys(EDUCATION_LEVEL).indexOf(level);
+}
+
+/**
+ * Age in completed years at the census year (same convention as reports:
+ * census_year - birth year). Returns null if dateOfBirth is unusable.
+ */
+function ageAtCensus(dateOfBirth, year) {
+  if (isBlank(dateOfBirth)) return null;
+  const dob = new Date(dateOfBirth);
+  if (Number.isNaN(dob.getTime())) return null;
+  return Number(year) - dob.getFullYear();
+}
+
+function createCollector() {
+  const errors = [];
+  return {
+    errors,
+    household(field, code, message) {
+      errors.push({ scope: 'household', field, code, message });
+    },
+    member(memberIndex, field, code, message) {
+      errors.push({ scope: 'member', memberIndex, field, code, message });
+    },
+  };
+}
+
+function checkCode(report, value, list, code, message) {
+  if (!isBlank(value) && !Object.prototype.hasOwnProperty.call(list, value)) {
+    report(code, message);
+  }
+}
+
+function validateHousehold(household, out) {
+  const report = (field) => (code, message) => out.household(field, code, message);
+
+  if (isBlank(household.provinceCode)) {
+    out.household('provinceCode', 'required', 'Vui lòng chọn tỉnh/thành phố.');
+  } else if (!/^\d{2}$/.test(String(household.provinceCode))) {
+    out.household('provinceCode', 'invalid_code', 'Mã tỉnh/thành phố không hợp lệ.');
+  }
+
+  // Ids of the districts / wards tables; the geography lookup checks they
+  // exist and belong to the province
+  if (isBlank(household.districtId)) {
+    out.household('districtId', 'required', 'Vui lòng chọn quận/huyện.');
+  } else if (!isPositiveId(household.districtId)) {
+    out.household('districtId', 'invalid_code', 'Mã quận/huyện không hợp lệ.');
+  }
+  if (isBlank(household.wardId)) {
+    out.household('wardId', 'required', 'Vui lòng chọn phường/xã.');
+  } else if (!isPositiveId(household.wardId)) {
+    out.household('wardId', 'invalid_code', 'Mã phường/xã không hợp lệ.');
+  }
+
+  checkCode(report('housingType'), household.housingType, HOUSING_TYPE,
+    'invalid_code', 'Loại nhà ở không hợp lệ.');
+  checkCode(report('drinkingWaterSource'), household.drinkingWaterSource, WATER_SOURCE,
+    'invalid_code', 'Nguồn nước ăn uống không hợp lệ.');
+  checkCode(report('otherWaterSource'), household.otherWaterSource, WATER_SOURCE,
+    'invalid_code', 'Nguồn nước khác không hợp lệ.');
+  checkCode(report('toiletType'), household.toiletType, TOILET_TYPE,
+    'invalid_code', 'Loại nhà vệ sinh không hợp lệ.');
+
+  if (!isBlank(household.floorAreaM2)) {
+    const area = Number(household.floorAreaM2);
+    if (!Number.isFinite(area) || area <= 0) {
+      out.household('floorAreaM2', 'invalid_number', 'Diện tích sàn phải là số dương.');
+    }
+  }
+
+  if (!isBlank(household.numRooms)) {
+    const rooms = Number(household.numRooms);
+    if (!Number.isInteger(rooms) || rooms <= 0) {
+      out.household('numRooms', 'invalid_number', 'Số phòng phải là số nguyên dương.');
+    }
+  }
+
+  for (const field of YES_NO_FIELDS) {
+    const v = household[field];
+    if (!isBlank(v) && v !== 'yes' && v !== 'no') {
+      out.household(field, 'invalid_code', 'Giá trị phải là "yes" hoặc "no".');
+    }
+  }
+}
+
+function validateMember(member, index, year, out) {
+  const report = (field) => (code, message) => out.member(index, field, code, message);
+
+  if (isBlank(member.fullName)) {
+    out.member(index, 'fullName', 'required', 'Vui lòng nhập họ và tên.');
+  }
+  if (!isBlank(member.citizenNumber) && !/^\d{12}$/.test(String(member.citizenNumber))) {
+    out.member(index, 'citizenNumber', 'invalid_format', 'Số CCCD phải gồm 12 chữ số.');
+  }
+  if (isBlank(member.sex)) {
+    out.member(index, 'sex', 'required', 'Vui lòng chọn giới tính.');
+  }
+
+  checkCode(report('sex'), member.sex, SEX, 'invalid_code', 'Giới tính không hợp lệ.');
+  checkCode(report('relationshipToHead'), member.relationshipToHead, RELATIONSHIP,
+    'invalid_code', 'Quan hệ với chủ hộ không hợp lệ.');
+  const listedAsHead = member.relationshipToHead === 'head';
+  if (!isBlank(member.relationshipToHead) && listedAsHead !== (member.isHead === true)) {
+    out.member(index, 'relationshipToHead', 'inconsistent',
+      'Quan hệ "Chủ hộ" phải khớp với thành viên được chọn làm chủ hộ.');
+  }
+  checkCode(report('maritalStatus'), member.maritalStatus, MARITAL_STATUS,
+    'invalid_code', 'Tình trạng hôn nhân không hợp lệ.');
+  checkCode(report('highestEducationLevel'), member.highestEducationLevel, EDUCATION_LEVEL,
+    'invalid_code', 'Trình độ học vấn không hợp lệ.');
+  checkCode(report('ethnicity'), member.ethnicity, ETHNICITY,
+    'invalid_code', 'Dân tộc không hợp lệ.');
+  checkCode(report('religion'), member.religion, RELIGION,
+    'invalid_code', 'Tôn giáo không hợp lệ.');
+  checkCode(report('migrationStatus'), member.migrationStatus, MIGRATION_STATUS,
+    'invalid_code', 'Tình trạng di cư không hợp lệ.');
+
+  for (const field of BOOLEAN_MEMBER_FIELDS) {
+    const v = member[field];
+    if (v !== undefined && v !== null && typeof v !== 'boolean') {
+      out.member(index, field, 'invalid_type', 'Giá trị phải là true hoặc false.');
+    }
+  }
+
+  // Age based rules
+  const age = ageAtCensus(member.dateOfBirth, year);
+  if (isBlank(member.dateOfBirth)) {
+    out.member(index, 'dateOfBirth', 'required', 'Vui lòng nhập ngày sinh.');
+  } else if (age === null) {
+    out.member(index, 'dateOfBirth', 'invalid_date', 'Ngày sinh không hợp lệ.');
+  } else if (age < 0) {
+    out.member(index, 'dateOfBirth', 'future_date', 'Ngày sinh sau năm điều tra.');
+  }
+
+  if (age !== null && age >= 0) {
+    if (age < MIN_MARITAL_AGE && !isBlank(member.maritalStatus) && member.maritalStatus !== 'single') {
+      out.member(index, 'maritalStatus', 'age_inconsistent',
+        `Người dưới ${MIN_MARITAL_AGE} tuổi không thể có tình trạng hôn nhân này.`);
+    }
+    if (age < MIN_SCHOOL_AGE && member.currentlyAttending === true) {
+      out.member(index, 'currentlyAttending', 'age_inconsistent',
+        `Trẻ dưới ${MIN_SCHOOL_AGE} tuổi không thể đang đi học.`);
+    }
+  }
+
+  // Schooling consistency
+  if (member.everAttendedSchool === false) {
+    if (member.currentlyAttending === true) {
+      out.member(index, 'currentlyAttending', 'inconsistent',
+        'Người chưa từng đi học không thể đang đi học.');
+    }
+    if (!isBlank(member.highestEducationLevel) && member.highestEducationLevel !== 'none') {
+      out.member(index, 'highestEducationLevel', 'inconsistent',
+        'Người chưa từng đi học không thể có trình độ học vấn.');
+    }
+  }
+
+  if (
+    member.literacy === false &&
+    educationRank(member.highestEducationLevel) >= educationRank(LITERATE_FROM_LEVEL)
+  ) {
+    out.member(index, 'literacy', 'inconsistent',
+      'Người đã tốt nghiệp trung học cơ sở trở lên phải biết đọc, biết viết.');
+  }
+
+  // Disability
+  if (member.disabilityType !== undefined && member.disabilityType !== null) {
+    if (!Array.isArray(member.disabilityType)) {
+      out.member(index, 'disabilityType', 'invalid_type', 'Dạng khuyết tật phải là danh sách.');
+    } else if (member.disabilityType.length > 0 && member.hasDisability === false) {
+      out.member(index, 'disabilityType', 'inconsistent',
+        'Chỉ khai dạng khuyết tật khi người đó có khuyết tật.');
+    }
+  }
+
+  // Migration
+  const isMigrant = MIGRANT_STATUSES.includes(member.migrationStatus);
+  if (!isBlank(member.previousProvinceCode) && !isMigrant) {
+    out.member(index, 'previousProvinceCode', 'inconsistent',
+      'Chỉ khai tỉnh nơi ở trước khi tình trạng di cư là di cư trong nước.');
+  }
+  if (member.migrationStatus === 'inter_province' && isBlank(member.previousProvinceCode)) {
+    out.member(index, 'previousProvinceCode', 'required',
+      'Vui lòng chọn tỉnh nơi ở trước đây.');
+  }
+}
+
+/**
+ * Validate a full submission.
+ * Returns an array of { scope, memberIndex?, field, code, message };
+ * an empty array means the submission is valid.
+ */
+function validateSubmission({ household, members, year }) {
+  const out = createCollector();
+
+  if (!household || typeof household !== 'object' || Array.isArray(household)) {
+    out.household(null, 'required', 'Thiếu thông tin hộ gia đình.');
+    return out.errors;
+  }
+  if (!Array.isArray(members) || members.length === 0) {
+    out.household('members', 'required', 'Hộ phải có ít nhất một thành viên.');
+    return out.errors;
+  }
+
+  validateHousehold(household, out);
+  members.forEach((m, i) => validateMember(m || {}, i, year, out));
+
+  const seenCitizenNumbers = new Map();
+  members.forEach((m, i) => {
+    if (!m || isBlank(m.citizenNumber)) return;
+    if (seenCitizenNumbers.has(m.citizenNumber)) {
+      out.member(i, 'citizenNumber', 'duplicate',
+        `Số CCCD trùng với thành viên thứ ${seenCitizenNumbers.get(m.citizenNumber) + 1}.`);
+    } else {
+      seenCitizenNumbers.set(m.citizenNumber, i);
+    }
+  });
+
+  const heads = members.filter((m) => m && m.isHead === true).length;
+  if (heads !== 1) {
+    out.household('members', 'head_count',
+      heads === 0 ? 'Hộ phải có một chủ hộ.' : 'Mỗi hộ chỉ có một chủ hộ.');
+  }
+
+  return out.errors;
+}
+
+module.exports = {
+  validateSubmission,
+  ageAtCensus,
+};
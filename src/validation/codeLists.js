@@ -0,0 +1,355 @@
+// src/validation/codeLists.js
+// Code lists accepted by the census questionnaire: code -> Vietnamese label.
+// The frontend sends the codes, reports and citizen views show the labels.
+
+const SEX = {
+  M: 'Nam',
+  F: 'Nữ',
+};
+
+// Relationship of each member to the head of household
+const RELATIONSHIP = {
+  head: 'Chủ hộ',
+  spouse: 'Vợ / chồng',
+  child: 'Con',
+  child_in_law: 'Con dâu / con rể',
+  grandchild: 'Cháu',
+  parent: 'Bố / mẹ',
+  parent_in_law: 'Bố / mẹ vợ hoặc chồng',
+  grandparent: 'Ông / bà',
+  sibling: 'Anh / chị / em',
+  other_relative: 'Họ hàng khác',
+  non_relative: 'Không có quan hệ họ hàng',
+};
+
+const MARITAL_STATUS = {
+  single: 'Chưa vợ/chồng',
+  married: 'Có vợ/chồng',
+  widowed: 'Goá',
+  divorced: 'Ly hôn',
+  separated: 'Ly thân',
+};
+
+// Ordered from lowest to highest, the order is used by consistency rules
+const EDUCATION_LEVEL = {
+  none: 'Chưa đi học',
+  primary: 'Tiểu học',
+  lower_secondary: 'Trung học cơ sở',
+  upper_secondary: 'Trung học phổ thông',
+  vocational: 'Trung cấp / Sơ cấp nghề',
+  college: 'Cao đẳng',
+  university: 'Đại học',
+  postgraduate: 'Trên đại học',
+};
+
+// 54 ethnic groups, GSO numbering
+const ETHNICITY = {
+  '01': 'Kinh',
+  '02': 'Tày',
+  '03': 'Thái',
+  '04': 'Hoa',
+  '05': 'Khơ-me',
+  '06': 'Mường',
+  '07': 'Nùng',
+  '08': 'Mông',
+  '09': 'Dao',
+  '10': 'Gia-rai',
+  '11': 'Ngái',
+  '12': 'Ê-đê',
+  '13': 'Ba-na',
+  '14': 'Xơ-đăng',
+  '15': 'Sán Chay',
+  '16': 'Cơ-ho',
+  '17': 'Chăm',
+  '18': 'Sán Dìu',
+  '19': 'Hrê',
+  '20': 'Mnông',
+  '21': 'Ra-glai',
+  '22': 'Xtiêng',
+  '23': 'Bru-Vân Kiều',
+  '24': 'Thổ',
+  '25': 'Giáy',
+  '26': 'Cơ-tu',
+  '27': 'Gié-Triêng',
+  '28': 'Mạ',
+  '29': 'Khơ-mú',
+  '30': 'Co',
+  '31': 'Tà-ôi',
+  '32': 'Chơ-ro',
+  '33': 'Kháng',
+  '34': 'Xinh-mun',
+  '35': 'Hà Nhì',
+  '36': 'Chu-ru',
+  '37': 'Lào',
+  '38': 'La Chí',
+  '39': 'La Ha',
+  '40': 'Phù Lá',
+  '41': 'La Hủ',
+  '42': 'Lự',
+  '43': 'Lô Lô',
+  '44': 'Chứt',
+  '45': 'Mảng',
+  '46': 'Pà Thẻn',
+  '47': 'Cơ Lao',
+  '48': 'Cống',
+  '49': 'Bố Y',
+  '50': 'Si La',
+  '51': 'Pu Péo',
+  '52': 'Brâu',
+  '53': 'Ơ Đu',
+  '54': 'Rơ-măm',
+};
+
+const RELIGION = {
+  none: 'Không theo tôn giáo',
+  buddhism: 'Phật giáo',
+  catholic: 'Công giáo',
+  protestant: 'Tin Lành',
+  caodaism: 'Cao Đài',
+  hoahao: 'Phật giáo Hoà Hảo',
+  islam: 'Hồi giáo',
+  other: 'Tôn giáo khác',
+};
+
+const HOUSING_OWNERSHIP = {
+  owned: 'Nhà riêng của hộ',
+  rented_private: 'Thuê, mượn của tư nhân',
+  rented_state: 'Thuê, mượn của Nhà nước',
+  lodging: 'Ở nhờ, không phải trả tiền',
+  other: 'Hình thức khác',
+};
+
+const HOUSING_TYPE = {
+  apartment: 'Căn hộ chung cư',
+  permanent: 'Nhà kiên cố',
+  semi_permanent: 'Nhà bán kiên cố',
+  less_permanent: 'Nhà thiếu kiên cố',
+  simple: 'Nhà đơn sơ',
+};
+
+// Durable housing (nhà kiên cố và bán kiên cố) in housing reports
+const DURABLE_HOUSING_TYPES = ['apartment', 'permanent', 'semi_permanent'];
+
+// Main materials of the dwelling (walls, roof, floor)
+const WALL_MATERIAL = {
+  concrete: 'Bê tông cốt thép',
+  brick_stone: 'Gạch, đá',
+  wood_metal: 'Gỗ, kim loại',
+  earth: 'Đất, vôi, rơm',
+  bamboo_leaf: 'Tre, nứa, lá',
+  other: 'Vật liệu khác',
+};
+
+const ROOF_MATERIAL = {
+  concrete: 'Bê tông cốt thép',
+  tile: 'Ngói',
+  metal_sheet: 'Tôn, kim loại',
+  fibro_cement: 'Tấm lợp xi măng',
+  bamboo_leaf: 'Tranh, tre, nứa, lá',
+  other: 'Vật liệu khác',
+};
+
+const FLOOR_MATERIAL = {
+  tile_stone: 'Gạch men, đá',
+  cement: 'Xi măng',
+  wood: 'Gỗ',
+  earth: 'Đất',
+  other: 'Vật liệu khác',
+};
+
+const WATER_SOURCE = {
+  piped: 'Nước máy',
+  drilled_well: 'Giếng khoan',
+  protected_dug_well: 'Giếng đào được bảo vệ',
+  unprotected_dug_well: 'Giếng đào không được bảo vệ',
+  protected_spring: 'Nước khe/mó được bảo vệ',
+  unprotected_spring: 'Nước khe/mó không được bảo vệ',
+  rainwater: 'Nước mưa',
+  bottled: 'Nước đóng chai/bình',
+  surface: 'Nước mặt (sông, suối, ao, hồ)',
+  other: 'Nguồn khác',
+};
+
+// Improved drinking water sources (WHO/UNICEF JMP)
+const IMPROVED_WATER_SOURCES = [
+  'piped',
+  'drilled_well',
+  'protected_dug_well',
+  'protected_spring',
+  'rainwater',
+  'bottled',
+];
+
+const TOILET_TYPE = {
+  flush_septic: 'Tự hoại',
+  flush_semi_septic: 'Bán tự hoại',
+  flush_other: 'Dội nước khác',
+  double_vault: 'Hố xí hai ngăn',
+  ventilated_pit: 'Hố xí cải tiến có ống thông hơi',
+  simple_pit: 'Hố xí đơn giản',
+  other: 'Loại khác',
+  none: 'Không có nhà vệ sinh',
+};
+
+// Improved (hygienic) sanitation
+const IMPROVED_TOILET_TYPES = [
+  'flush_septic',
+  'flush_semi_septic',
+  'double_vault',
+  'ventilated_pit',
+];
+
+const GARBAGE_DISPOSAL = {
+  collected: 'Được thu gom',
+  burned: 'Đốt',
+  buried: 'Chôn',
+  dumped: 'Vứt ra sông, suối, bãi đất',
+  other: 'Cách khác',
+};
+
+const LIGHTING_SOURCE = {
+  electricity: 'Điện lưới',
+  generator: 'Máy phát điện',
+  solar: 'Năng lượng mặt trời',
+  kerosene: 'Đèn dầu',
+  other: 'Nguồn khác',
+  none: 'Không có',
+};
+
+const COOKING_FUEL = {
+  electricity: 'Điện',
+  gas: 'Ga (khí hoá lỏng)',
+  biogas: 'Khí sinh học (biogas)',
+  kerosene: 'Dầu hoả',
+  coal: 'Than',
+  wood: 'Củi',
+  crop_residue: 'Rơm rạ, lá cây',
+  other: 'Nhiên liệu khác',
+  none: 'Không nấu ăn',
+};
+
+// Clean cooking fuels
+const CLEAN_COOKING_FUELS = ['electricity', 'gas', 'biogas'];
+
+// Household assets and amenities, each stored in households.has_<code>
+const HOUSEHOLD_ASSET = {
+  electricity: 'Điện',
+  internet: 'Internet',
+  tv: 'Tivi',
+  fridge: 'Tủ lạnh',
+  washing_machine: 'Máy giặt',
+  computer: 'Máy tính',
+  car: 'Ô tô',
+  motorcycle: 'Xe máy',
+};
+
+const MIGRATION_STATUS = {
+  non_migrant: 'Không di cư',
+  intra_province: 'Di cư trong tỉnh',
+  inter_province: 'Di cư giữa các tỉnh',
+  international: 'Di cư quốc tế',
+};
+
+// Statuses for which previous_province_code is meaningful
+const MIGRANT_STATUSES = ['intra_province', 'inter_province'];
+
+// Functional domains of the Washington Group short set; a person may
+// report several
+const DISABILITY_TYPE = {
+  seeing: 'Nhìn',
+  hearing: 'Nghe',
+  walking: 'Vận động',
+  cognition: 'Ghi nhớ, tập trung',
+  self_care: 'Tự chăm sóc',
+  communication: 'Giao tiếp',
+};
+
+// Main activity during the reference week; working + unemployed make up
+// the labour force
+const MAIN_ACTIVITY = {
+  working: 'Đang làm việc',
+  unemployed: 'Không có việc làm, đang tìm việc',
+  studying: 'Đi học',
+  homemaker: 'Nội trợ',
+  retired: 'Nghỉ hưu / già yếu',
+  unable_to_work: 'Ốm đau, khuyết tật không làm việc được',
+  other: 'Khác',
+};
+
+const EMPLOYMENT_STATUS = {
+  employer: 'Chủ cơ sở',
+  own_account: 'Tự làm',
+  family_worker: 'Lao động gia đình',
+  employee: 'Làm công ăn lương',
+  cooperative_member: 'Xã viên hợp tác xã',
+};
+
+// Major groups of the Vietnam Standard Classification of Occupations
+const OCCUPATION = {
+  1: 'Nhà lãnh đạo',
+  2: 'Chuyên môn kỹ thuật bậc cao',
+  3: 'Chuyên môn kỹ thuật bậc trung',
+  4: 'Nhân viên',
+  5: 'Dịch vụ cá nhân, bảo vệ và bán hàng',
+  6: 'Nghề trong nông, lâm, ngư nghiệp',
+  7: 'Thợ thủ công và các thợ khác có liên quan',
+  8: 'Thợ lắp ráp và vận hành máy móc, thiết bị',
+  9: 'Lao động giản đơn',
+  0: 'Lực lượng quân đội',
+};
+
+// Sections of the Vietnam Standard Industrial Classification (VSIC 2018)
+const INDUSTRY = {
+  A: 'Nông nghiệp, lâm nghiệp và thủy sản',
+  B: 'Khai khoáng',
+  C: 'Công nghiệp chế biến, chế tạo',
+  D: 'Sản xuất và phân phối điện, khí đốt, nước nóng, hơi nước và điều hoà không khí',
+  E: 'Cung cấp nước; quản lý và xử lý rác thải, nước thải',
+  F: 'Xây dựng',
+  G: 'Bán buôn và bán lẻ; sửa chữa ô tô, mô tô, xe máy',
+  H: 'Vận tải kho bãi',
+  I: 'Dịch vụ lưu trú và ăn uống',
+  J: 'Thông tin và truyền thông',
+  K: 'Hoạt động tài chính, ngân hàng và bảo hiểm',
+  L: 'Hoạt động kinh doanh bất động sản',
+  M: 'Hoạt động chuyên môn, khoa học và công nghệ',
+  N: 'Hoạt động hành chính và dịch vụ hỗ trợ',
+  O: 'Quản lý nhà nước, an ninh quốc phòng; bảo đảm xã hội bắt buộc',
+  P: 'Giáo dục và đào tạo',
+  Q: 'Y tế và hoạt động trợ giúp xã hội',
+  R: 'Nghệ thuật, vui chơi và giải trí',
+  S: 'Hoạt động dịch vụ khác',
+  T: 'Hoạt động làm thuê trong các hộ gia đình',
+  U: 'Hoạt động của các tổ chức và cơ quan quốc tế',
+};
+
+module.exports = {
+  SEX,
+  RELATIONSHIP,
+  MARITAL_STATUS,
+  EDUCATION_LEVEL,
+  ETHNICITY,
+  RELIGION,
+  HOUSING_OWNERSHIP,
+  HOUSING_TYPE,
+  DURABLE_HOUSING_TYPES,
+  WALL_MATERIAL,
+  ROOF_MATERIAL,
+  FLOOR_MATERIAL,
+  WATER_SOURCE,
+  IMPROVED_WATER_SOURCES,
+  TOILET_TYPE,
+  IMPROVED_TOILET_TYPES,
+  GARBAGE_DISPOSAL,
+  LIGHTING_SOURCE,
+  COOKING_FUEL,
+  CLEAN_COOKING_FUELS,
+  HOUSEHOLD_ASSET,
+  MIGRATION_STATUS,
+  MIGRANT_STATUSES,
+  DISABILITY_TYPE,
+  MAIN_ACTIVITY,
+  EMPLOYMENT_STATUS,
+  OCCUPATION,
+  INDUSTRY,
+};